@@ -0,0 +1,48 @@
+// access.js
+// 3D Chess Master — words for screen readers and typed moves: square and move descriptions, and a forgiving move parser
+// loads as a plain <script> after engine.js and notation.js (window.ChessAccess) or via require() in Node
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./engine.js'), require('./notation.js'));
+  else root.ChessAccess = factory(root.ChessEngine, root.ChessNotation);
+})(typeof self !== 'undefined' ? self : this, (Engine, Notation) => {
+  // ------- CONFIG -------
+  const LETTER_NAMES = { K: 'king', Q: 'queen', R: 'rook', B: 'bishop', N: 'knight' };
+  const capitalize = s => s.charAt(0).toUpperCase() + s.slice(1);
+
+  // ------- DESCRIPTIONS -------
+  // 'e4, white pawn' / 'e4, empty'
+  function describeSquare(pos, x, z) {
+    const p = pos.board[z][x];
+    return `${Engine.squareName(x, z)}, ${p ? `${p.color} ${p.type}` : 'empty'}`;
+  }
+
+  // SAN -> words: 'Nxf3+' by white taking a pawn -> 'White knight takes pawn on f3, check'
+  function describeSan(san, mover, captured = null) {
+    const who = capitalize(mover);
+    const tail = /#$/.test(san) ? ', checkmate' : /\+$/.test(san) ? ', check' : '';
+    const clean = san.replace(/[+#!?]+$/, '');
+    if (clean === 'O-O') return `${who} castles kingside${tail}`;
+    if (clean === 'O-O-O') return `${who} castles queenside${tail}`;
+    const m = /^([KQRBN])?([a-h]?[1-8]?)(x)?([a-h][1-8])(?:=([QRBN]))?$/.exec(clean);
+    if (!m) return `${who} plays ${san}`;
+    // a capturing pawn is named by its file: 'e pawn takes'
+    const piece = m[1] ? `${LETTER_NAMES[m[1]]}${m[2] ? ` from ${m[2]}` : ''}` : `${m[2] ? `${m[2]} ` : ''}pawn`;
+    const action = m[3] ? `takes ${captured ? `${captured} on ` : ''}` : 'to ';
+    const promo = m[5] ? `, promotes to ${LETTER_NAMES[m[5]]}` : '';
+    return `${who} ${piece} ${action}${m[4]}${promo}${tail}`;
+  }
+
+  // ------- TYPED MOVES -------
+  // 'e2e4', 'e7e8q', 'Nf3', 'nf3', 'exd5', '0-0' -> a legal move of pos, or null
+  // a lowercase piece letter is tried as a pawn move first ('bxc3'), then as the piece ('Bxc3')
+  function parseTypedMove(pos, text) {
+    const t = String(text).trim();
+    if (!t) return null;
+    return Notation.parseUci(pos, t) || Notation.parseSan(pos, t) ||
+      (/^[kqrbn]/.test(t) ? Notation.parseSan(pos, t.charAt(0).toUpperCase() + t.slice(1)) : null);
+  }
+
+  // ------- export -------
+  return { describeSquare, describeSan, parseTypedMove };
+});
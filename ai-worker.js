@@ -0,0 +1,19 @@
+// ai-worker.js
+// 3D Chess Master — runs the ai.js search off the main thread so rendering and input never stall
+// protocol: in  { type: 'search', id, fen, variant, variantState, history, depth, timeMs }  (variant = a variants.js key)
+//           out { type: 'result', id, move, score, depth, pv, nodes, timeMs } | { type: 'error', id, message }
+// there is no cancel message: a search never yields, so the page terminates the worker instead
+
+importScripts('engine.js', 'ai.js', 'variants.js');
+
+self.onmessage = (e) => {
+  const { type, id, fen, variant, variantState, history, depth, timeMs } = e.data || {};
+  if (type !== 'search') return;
+  try {
+    const pos = self.ChessVariants.attach(self.ChessEngine.parseFen(fen), variant, variantState);
+    const result = self.ChessAI.search(pos, { depth, timeMs, history });
+    self.postMessage({ type: 'result', id, ...result });
+  } catch (err) {
+    self.postMessage({ type: 'error', id, message: err.message });
+  }
+};
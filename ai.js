@@ -0,0 +1,332 @@
+// ai.js
+// 3D Chess Master — computer player: alpha-beta search over engine.js positions
+// loads as a plain <script> after engine.js (window.ChessAI) or via require() in Node
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./engine.js'));
+  else root.ChessAI = factory(root.ChessEngine);
+})(typeof self !== 'undefined' ? self : this, (Engine) => {
+  // ------- CONFIG -------
+  const { PIECE_VALUES, SIZE } = Engine;
+  const MATE = 100000;
+  const INF = 1000000;
+  const MAX_PLY = 64;
+
+  // difficulty -> deepest iteration and thinking time; the search stops at whichever comes first
+  const LEVELS = {
+    easy: { depth: 1, timeMs: 300 },
+    medium: { depth: 3, timeMs: 1000 },
+    hard: { depth: 5, timeMs: 2500 },
+    expert: { depth: 32, timeMs: 5000 }
+  };
+
+  // ------- PIECE-SQUARE TABLES -------
+  // white's point of view with row 0 = rank 8, the same layout as board[z]; black reads them mirrored
+  const PST = {
+    pawn: [
+      [0, 0, 0, 0, 0, 0, 0, 0],
+      [50, 50, 50, 50, 50, 50, 50, 50],
+      [10, 10, 20, 30, 30, 20, 10, 10],
+      [5, 5, 10, 25, 25, 10, 5, 5],
+      [0, 0, 0, 20, 20, 0, 0, 0],
+      [5, -5, -10, 0, 0, -10, -5, 5],
+      [5, 10, 10, -20, -20, 10, 10, 5],
+      [0, 0, 0, 0, 0, 0, 0, 0]
+    ],
+    knight: [
+      [-50, -40, -30, -30, -30, -30, -40, -50],
+      [-40, -20, 0, 0, 0, 0, -20, -40],
+      [-30, 0, 10, 15, 15, 10, 0, -30],
+      [-30, 5, 15, 20, 20, 15, 5, -30],
+      [-30, 0, 15, 20, 20, 15, 0, -30],
+      [-30, 5, 10, 15, 15, 10, 5, -30],
+      [-40, -20, 0, 5, 5, 0, -20, -40],
+      [-50, -40, -30, -30, -30, -30, -40, -50]
+    ],
+    bishop: [
+      [-20, -10, -10, -10, -10, -10, -10, -20],
+      [-10, 0, 0, 0, 0, 0, 0, -10],
+      [-10, 0, 5, 10, 10, 5, 0, -10],
+      [-10, 5, 5, 10, 10, 5, 5, -10],
+      [-10, 0, 10, 10, 10, 10, 0, -10],
+      [-10, 10, 10, 10, 10, 10, 10, -10],
+      [-10, 5, 0, 0, 0, 0, 5, -10],
+      [-20, -10, -10, -10, -10, -10, -10, -20]
+    ],
+    rook: [
+      [0, 0, 0, 0, 0, 0, 0, 0],
+      [5, 10, 10, 10, 10, 10, 10, 5],
+      [-5, 0, 0, 0, 0, 0, 0, -5],
+      [-5, 0, 0, 0, 0, 0, 0, -5],
+      [-5, 0, 0, 0, 0, 0, 0, -5],
+      [-5, 0, 0, 0, 0, 0, 0, -5],
+      [-5, 0, 0, 0, 0, 0, 0, -5],
+      [0, 0, 0, 5, 5, 0, 0, 0]
+    ],
+    queen: [
+      [-20, -10, -10, -5, -5, -10, -10, -20],
+      [-10, 0, 0, 0, 0, 0, 0, -10],
+      [-10, 0, 5, 5, 5, 5, 0, -10],
+      [-5, 0, 5, 5, 5, 5, 0, -5],
+      [0, 0, 5, 5, 5, 5, 0, -5],
+      [-10, 5, 5, 5, 5, 5, 0, -10],
+      [-10, 0, 5, 0, 0, 0, 0, -10],
+      [-20, -10, -10, -5, -5, -10, -10, -20]
+    ],
+    // middlegame: stay tucked behind the pawns
+    king: [
+      [-30, -40, -40, -50, -50, -40, -40, -30],
+      [-30, -40, -40, -50, -50, -40, -40, -30],
+      [-30, -40, -40, -50, -50, -40, -40, -30],
+      [-30, -40, -40, -50, -50, -40, -40, -30],
+      [-20, -30, -30, -40, -40, -30, -30, -20],
+      [-10, -20, -20, -20, -20, -20, -20, -10],
+      [20, 20, 0, 0, 0, 0, 20, 20],
+      [20, 30, 10, 0, 0, 10, 30, 20]
+    ],
+    // endgame: walk to the centre
+    kingEnd: [
+      [-50, -40, -30, -20, -20, -30, -40, -50],
+      [-30, -20, -10, 0, 0, -10, -20, -30],
+      [-30, -10, 20, 30, 30, 20, -10, -30],
+      [-30, -10, 30, 40, 40, 30, -10, -30],
+      [-30, -10, 30, 40, 40, 30, -10, -30],
+      [-30, -10, 20, 30, 30, 20, -10, -30],
+      [-30, -30, 0, 0, 0, 0, -30, -30],
+      [-50, -30, -30, -30, -30, -30, -30, -50]
+    ]
+  };
+
+  // game phase: 24 with all minor and major pieces on, 0 with only kings and pawns
+  const PHASE = { pawn: 0, knight: 1, bishop: 1, rook: 2, queen: 4, king: 0 };
+  const SHIELD_BONUS = 12;
+
+  // ------- EVALUATION -------
+  // centipawns from white's point of view
+  function evaluate(pos) {
+    const bs = pos.board;
+    let score = 0, phase = 0;
+    const kings = {};
+    for (let z = 0; z < SIZE; z++) for (let x = 0; x < SIZE; x++) {
+      const p = bs[z][x]; if (!p) continue;
+      const sign = p.color === 'white' ? 1 : -1;
+      const row = p.color === 'white' ? z : SIZE - 1 - z;
+      phase += PHASE[p.type];
+      if (p.type === 'king') { kings[p.color] = { x, z, row }; continue; }
+      score += sign * (PIECE_VALUES[p.type] + PST[p.type][row][x]);
+    }
+    phase = Math.min(phase, 24);
+
+    ['white', 'black'].forEach(color => {
+      const k = kings[color]; if (!k) return;
+      const sign = color === 'white' ? 1 : -1;
+      // blend the two king tables by phase so the king wakes up as pieces come off
+      score += sign * (PST.king[k.row][k.x] * phase + PST.kingEnd[k.row][k.x] * (24 - phase)) / 24;
+      // king safety: own pawns on the three files in front of the king, worth less as the board empties
+      const ahead = color === 'white' ? -1 : 1;
+      let shield = 0;
+      for (let dx = -1; dx <= 1; dx++) for (let step = 1; step <= 2; step++) {
+        const p = Engine.isInside(k.x + dx, k.z + ahead * step) ? bs[k.z + ahead * step][k.x + dx] : null;
+        if (p && p.type === 'pawn' && p.color === color) { shield++; break; }
+      }
+      score += sign * shield * SHIELD_BONUS * phase / 24;
+    });
+    // variants add their own goals (the hill, checks given)
+    if (pos.variant && pos.variant.evaluate) score += pos.variant.evaluate(pos);
+    return Math.round(score);
+  }
+
+  // ------- ZOBRIST HASHING -------
+  // fixed seed so keys are identical on every page load and in Node
+  function mulberry32(seed) {
+    return () => {
+      seed = (seed + 0x6D2B79F5) | 0;
+      let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return (t ^ (t >>> 14)) >>> 0;
+    };
+  }
+  const rand = mulberry32(0x3dc4e55);
+  // keys are [hi, lo] pairs; hi keeps 21 bits so the combined hash stays a safe integer
+  const randomKey = () => [rand() & 0x1fffff, rand()];
+  const PIECE_INDEX = { pawn: 0, knight: 1, bishop: 2, rook: 3, queen: 4, king: 5 };
+  const Z_PIECES = Array.from({ length: 12 }, () => Array.from({ length: SIZE * SIZE }, randomKey));
+  const Z_BLACK = randomKey();
+  const Z_CASTLE = { white: { king: [], queen: [] }, black: { king: [], queen: [] } };
+  ['white', 'black'].forEach(c => ['king', 'queen'].forEach(side => { for (let x = 0; x < SIZE; x++) Z_CASTLE[c][side].push(randomKey()); }));
+  const Z_EP = Array.from({ length: SIZE }, randomKey);
+  // variant counters (pos.variantState), a few slots of small values
+  const Z_COUNTERS = Array.from({ length: 4 }, () => Array.from({ length: 8 }, randomKey));
+
+  function zobrist(pos) {
+    let hi = 0, lo = 0;
+    const mix = k => { hi ^= k[0]; lo ^= k[1]; };
+    for (let z = 0; z < SIZE; z++) for (let x = 0; x < SIZE; x++) {
+      const p = pos.board[z][x];
+      if (p) mix(Z_PIECES[PIECE_INDEX[p.type] + (p.color === 'white' ? 0 : 6)][z * SIZE + x]);
+    }
+    if (pos.turn === 'black') mix(Z_BLACK);
+    ['white', 'black'].forEach(c => ['king', 'queen'].forEach(side => {
+      const file = pos.castling[c][side];
+      if (file !== null && file !== undefined) mix(Z_CASTLE[c][side][file]);
+    }));
+    if (pos.ep) mix(Z_EP[pos.ep.x]);
+    if (pos.variantState) Object.values(pos.variantState).forEach((n, i) => mix(Z_COUNTERS[i % 4][Math.min(n, 7)]));
+    return hi * 0x100000000 + (lo >>> 0);
+  }
+
+  // zobrist keys of every position before the current one, replayed from the game's start
+  // (a FEN, or a start position carrying its variant)
+  function historyKeys(start, moves) {
+    const pos = typeof start === 'string' ? Engine.parseFen(start) : Engine.clonePosition(start);
+    return moves.map(m => { const key = zobrist(pos); Engine.makeMove(pos, m); return key; });
+  }
+
+  // ------- MOVE ORDERING -------
+  function isCapture(pos, m) { return !!pos.board[m.toZ][m.toX] || !!m.enPassant; }
+
+  // hash move first, then captures by MVV-LVA (most valuable victim, least valuable attacker), then promotions
+  function orderMoves(pos, moves, hashMove) {
+    const score = m => {
+      if (hashMove && m.fromX === hashMove.fromX && m.fromZ === hashMove.fromZ && m.toX === hashMove.toX && m.toZ === hashMove.toZ && m.promotion === hashMove.promotion) return 1e7;
+      let s = 0;
+      const victim = m.enPassant ? 'pawn' : pos.board[m.toZ][m.toX] && pos.board[m.toZ][m.toX].type;
+      if (victim) s += 1e5 + PIECE_VALUES[victim] * 10 - PIECE_VALUES[pos.board[m.fromZ][m.fromX].type] / 10;
+      if (m.promotion) s += PIECE_VALUES[m.promotion];
+      return s;
+    };
+    moves.forEach(m => { m.order = score(m); });
+    moves.sort((a, b) => b.order - a.order);
+    moves.forEach(m => { delete m.order; });
+    return moves;
+  }
+
+  // ------- SEARCH -------
+  const EXACT = 0, LOWER = 1, UPPER = 2;
+
+  // mate scores are stored relative to the node so they stay correct when found again at another ply
+  function toTT(score, ply) { return score > MATE - MAX_PLY ? score + ply : score < -MATE + MAX_PLY ? score - ply : score; }
+  function fromTT(score, ply) { return score > MATE - MAX_PLY ? score - ply : score < -MATE + MAX_PLY ? score + ply : score; }
+
+  function tick(ctx) {
+    if ((++ctx.nodes & 1023) === 0 && ctx.canStop && Date.now() > ctx.deadline) ctx.stopped = true;
+    return ctx.stopped;
+  }
+
+  // a position seen earlier on this line or in the game (within the fifty-move window) scores as a draw
+  function isRepetition(ctx, key, halfmove) {
+    const s = ctx.stack;
+    for (let i = s.length - 1, n = 0; i >= 0 && n < halfmove; i--, n++) if (s[i] === key) return true;
+    return false;
+  }
+
+  function sideEval(pos) { return pos.turn === 'white' ? evaluate(pos) : -evaluate(pos); }
+
+  // a variant's win (king on the hill, third check) scores like a mate; null while the game goes on
+  function variantScore(pos, ply) {
+    const decided = pos.variant && pos.variant.outcome && pos.variant.outcome(pos);
+    return decided ? (decided.winner === pos.turn ? MATE - ply : -MATE + ply) : null;
+  }
+
+  function quiesce(pos, alpha, beta, ply, ctx) {
+    if (tick(ctx)) return 0;
+    const decided = variantScore(pos, ply);
+    if (decided !== null) return decided;
+    const standPat = sideEval(pos);
+    if (standPat >= beta || ply >= MAX_PLY) return standPat;
+    if (standPat > alpha) alpha = standPat;
+    const moves = orderMoves(pos, Engine.legalMoves(pos, m => isCapture(pos, m) || m.promotion === 'queen'));
+    for (const m of moves) {
+      const undo = Engine.makeMove(pos, m);
+      const score = -quiesce(pos, -beta, -alpha, ply + 1, ctx);
+      Engine.unmakeMove(pos, undo);
+      if (ctx.stopped) return 0;
+      if (score >= beta) return score;
+      if (score > alpha) alpha = score;
+    }
+    return alpha;
+  }
+
+  function negamax(pos, depth, alpha, beta, ply, ctx) {
+    if (tick(ctx)) return 0;
+    const decided = variantScore(pos, ply);
+    if (decided !== null) return decided;
+    const key = zobrist(pos);
+    if (ply > 0 && (pos.halfmove >= 100 || isRepetition(ctx, key, pos.halfmove) || Engine.isMaterialDraw(pos))) return 0;
+
+    const entry = ctx.tt.get(key);
+    if (entry && ply > 0 && entry.depth >= depth) {
+      const s = fromTT(entry.score, ply);
+      if (entry.flag === EXACT || (entry.flag === LOWER && s >= beta) || (entry.flag === UPPER && s <= alpha)) return s;
+    }
+
+    const inCheck = Engine.isKingInCheck(pos.board, pos.turn);
+    if (inCheck && ply < MAX_PLY) depth++; // check extension: don't stop the search in the middle of a check
+    if (depth <= 0) return quiesce(pos, alpha, beta, ply, ctx);
+
+    const moves = Engine.legalMoves(pos);
+    if (!moves.length) return inCheck ? -MATE + ply : 0;
+    orderMoves(pos, moves, entry && entry.move);
+
+    const alphaStart = alpha;
+    let best = -INF, bestMove = null;
+    ctx.stack.push(key);
+    for (const m of moves) {
+      const undo = Engine.makeMove(pos, m);
+      const score = -negamax(pos, depth - 1, -beta, -alpha, ply + 1, ctx);
+      Engine.unmakeMove(pos, undo);
+      if (ctx.stopped) break;
+      if (score > best) { best = score; bestMove = m; }
+      if (score > alpha) alpha = score;
+      if (alpha >= beta) break;
+    }
+    ctx.stack.pop();
+    if (ctx.stopped) return 0;
+
+    const flag = best <= alphaStart ? UPPER : best >= beta ? LOWER : EXACT;
+    ctx.tt.set(key, { depth, score: toTT(best, ply), flag, move: bestMove });
+    return best;
+  }
+
+  // follows hash moves from the root to rebuild the principal variation
+  function principalVariation(pos, tt, maxLength) {
+    const pv = [], undos = [];
+    while (pv.length < maxLength) {
+      const entry = tt.get(zobrist(pos));
+      const m = entry && entry.move && Engine.findLegalMove(pos, entry.move);
+      if (!m) break;
+      pv.push(m); undos.push(Engine.makeMove(pos, m));
+    }
+    while (undos.length) Engine.unmakeMove(pos, undos.pop());
+    return pv;
+  }
+
+  // Iterative deepening under a time budget. options: { depth, timeMs, history } where history is
+  // historyKeys() of the game so far (for repetition draws). Returns
+  // { move, score, depth, pv, nodes, timeMs } with score in centipawns for the side to move;
+  // move is null when there is no legal move.
+  function search(position, { depth = LEVELS.medium.depth, timeMs = LEVELS.medium.timeMs, history = [] } = {}) {
+    const pos = Engine.clonePosition(position);
+    const started = Date.now();
+    const ctx = { deadline: started + timeMs, nodes: 0, stopped: false, canStop: false, tt: new Map(), stack: history.slice() };
+    const rootMoves = Engine.legalMoves(pos);
+    const result = { move: rootMoves[0] || null, score: 0, depth: 0, pv: [], nodes: 0, timeMs: 0 };
+    if (rootMoves.length <= 1) return result;
+
+    for (let d = 1; d <= Math.min(depth, MAX_PLY); d++) {
+      const score = negamax(pos, d, -INF, INF, 0, ctx);
+      // the first iteration always completes so there is a move to play
+      ctx.canStop = true;
+      if (ctx.stopped) break;
+      const pv = principalVariation(pos, ctx.tt, d);
+      if (pv.length) Object.assign(result, { move: pv[0], score, depth: d, pv });
+      if (Math.abs(score) > MATE - MAX_PLY || Date.now() > ctx.deadline) break;
+    }
+    result.nodes = ctx.nodes;
+    result.timeMs = Date.now() - started;
+    return result;
+  }
+
+  // ------- export -------
+  return { LEVELS, MATE, evaluate, zobrist, historyKeys, orderMoves, search };
+});
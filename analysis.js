@@ -0,0 +1,84 @@
+// analysis.js
+// 3D Chess Master — turns engine scores into evaluations for the eval bar and grades played moves for a game review
+// loads as a plain <script> after engine.js and ai.js (window.ChessAnalysis) or via require() in Node
+// an evaluation is from white's point of view: { cp } in centipawns, { mate } = moves until mate (negative: black mates),
+// or { mate: 0, winner } once the game is over on the board
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./ai.js'));
+  else root.ChessAnalysis = factory(root.ChessAI);
+})(typeof self !== 'undefined' ? self : this, (AI) => {
+  // ------- CONFIG -------
+  // graded by how much the move drops the mover's winning chances (a -1..1 scale), like the big chess sites do
+  const JUDGEMENTS = [['blunder', 0.3], ['mistake', 0.2], ['inaccuracy', 0.1]];
+  const SYMBOLS = { inaccuracy: '?!', mistake: '?', blunder: '??' };
+  const CP_CAP = 1000; // beyond ten pawns it's all the same
+  const MAX_MATE_PLIES = 256; // built-in scores closer than this to AI.MATE are mates
+
+  // ------- EVALUATIONS -------
+  // engine result (score / mate for the side to move) -> evaluation, or null when it carries no score
+  // (the built-in search answers a position with a single legal move without searching it)
+  function fromResult(result, turn) {
+    const sign = turn === 'white' ? 1 : -1;
+    if (Number.isFinite(result.mate)) return { mate: sign * result.mate };
+    if (!Number.isFinite(result.score) || !result.depth) return null;
+    if (Math.abs(result.score) > AI.MATE - MAX_MATE_PLIES) {
+      const moves = Math.ceil((AI.MATE - Math.abs(result.score)) / 2);
+      return { mate: sign * Math.sign(result.score) * moves };
+    }
+    return { cp: sign * result.score };
+  }
+
+  // positions where the game is already decided (Engine.gameStatus)
+  function fromStatus(status) {
+    if (status.winner) return { mate: 0, winner: status.winner }; // checkmate, or a variant's win
+    return status.state === 'playing' ? null : { cp: 0 };
+  }
+
+  // -1 (black is winning) .. 1 (white is winning)
+  function winningChances(ev) {
+    if (ev.winner) return ev.winner === 'white' ? 1 : -1;
+    if (ev.mate !== undefined) return ev.mate > 0 ? 1 : -1;
+    const cp = Math.max(-CP_CAP, Math.min(CP_CAP, ev.cp));
+    return 2 / (1 + Math.exp(-0.00368208 * cp)) - 1;
+  }
+
+  // share of the eval bar that is white, 0..1
+  function barFraction(ev) { return (winningChances(ev) + 1) / 2; }
+
+  // '+0.35', '-1.20', '#3', '#-2', '1-0'
+  function formatEval(ev) {
+    if (ev.winner) return ev.winner === 'white' ? '1-0' : '0-1';
+    if (ev.mate !== undefined) return `#${ev.mate}`;
+    return `${ev.cp >= 0 ? '+' : '-'}${(Math.abs(ev.cp) / 100).toFixed(2)}`;
+  }
+
+  // ------- REVIEW -------
+  // how bad a move was for `mover`, going from evaluation `before` to `after`: { kind, loss } or null for a fine move
+  function judgeMove(before, after, mover) {
+    const sign = mover === 'white' ? 1 : -1;
+    const loss = sign * (winningChances(before) - winningChances(after));
+    const match = JUDGEMENTS.find(([, drop]) => loss >= drop);
+    return match ? { kind: match[0], loss } : null;
+  }
+
+  // evals[i] = evaluation after i moves (null where the engine gave none), movers[i] = who made move i + 1
+  // -> { evals (gaps filled), moves: [{ ply, mover, kind, loss, before, after }], counts: { white: {...}, black: {...} } }
+  function reviewGame(evals, movers) {
+    const filled = evals.slice(0, movers.length + 1);
+    // a forced move doesn't change the evaluation, so a gap takes the one after it
+    for (let i = movers.length; i >= 0; i--) if (!filled[i]) filled[i] = filled[i + 1] || { cp: 0 };
+    const counts = { white: { inaccuracy: 0, mistake: 0, blunder: 0 }, black: { inaccuracy: 0, mistake: 0, blunder: 0 } };
+    const moves = [];
+    movers.forEach((mover, i) => {
+      const judged = judgeMove(filled[i], filled[i + 1], mover);
+      if (!judged) return;
+      counts[mover][judged.kind]++;
+      moves.push({ ply: i + 1, mover, ...judged, before: filled[i], after: filled[i + 1] });
+    });
+    return { evals: filled, moves, counts };
+  }
+
+  // ------- export -------
+  return { SYMBOLS, fromResult, fromStatus, winningChances, barFraction, formatEval, judgeMove, reviewGame };
+});
@@ -0,0 +1,210 @@
+// book.js
+// 3D Chess Master — opening book: named opening lines, the book moves of a position and the opening a game is in
+// loads as a plain <script> after engine.js and notation.js (window.ChessBook) or via require() in Node
+//
+// OPENINGS is a list of [eco, name, 'e4 e5 Nf3 ...', weight]: the name belongs to the position at the end of the line,
+// and every move on the way is a book move worth `weight` (default 1, so well-trodden moves come up more often).
+// weight 0 lines only name a position; the AI never steers into them
+// the lines are played out into a tree keyed by Engine.positionKey, so transpositions meet at the same entry
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./engine.js'), require('./notation.js'));
+  else root.ChessBook = factory(root.ChessEngine, root.ChessNotation);
+})(typeof self !== 'undefined' ? self : this, (Engine, Notation) => {
+  // ------- OPENINGS -------
+  const OPENINGS = [
+    // flank and irregular first moves
+    ['A00', 'Polish Opening', 'b4', 0],
+    ['A00', 'Grob Opening', 'g4', 0],
+    ['A01', 'Nimzo-Larsen Attack', 'b3', 0],
+    ['A02', "Bird's Opening", 'f4', 0],
+    ['A04', 'Réti Opening', 'Nf3'],
+    ['A05', 'Réti Opening', 'Nf3 Nf6'],
+    ['A06', 'Réti Opening', 'Nf3 d5'],
+    ['A07', "King's Indian Attack", 'Nf3 d5 g3'],
+    ['A09', 'Réti Opening', 'Nf3 d5 c4'],
+    // English
+    ['A10', 'English Opening', 'c4'],
+    ['A13', 'English Opening: Agincourt Defense', 'c4 e6'],
+    ['A15', 'English Opening: Anglo-Indian Defense', 'c4 Nf6'],
+    ['A16', 'English Opening: Anglo-Indian Defense', 'c4 Nf6 Nc3'],
+    ['A20', "English Opening: King's English Variation", 'c4 e5'],
+    ['A22', "English Opening: King's English Variation", 'c4 e5 Nc3 Nf6'],
+    ['A25', 'English Opening: Closed', 'c4 e5 Nc3 Nc6 g3'],
+    ['A30', 'English Opening: Symmetrical Variation', 'c4 c5'],
+    // queen's pawn odds and ends
+    ['A40', "Queen's Pawn Game", 'd4'],
+    ['A40', 'Englund Gambit', 'd4 e5', 0],
+    ['A43', 'Old Benoni Defense', 'd4 c5', 0],
+    ['A45', 'Indian Defense', 'd4 Nf6'],
+    ['A45', 'Trompowsky Attack', 'd4 Nf6 Bg5'],
+    ['A46', 'Indian Defense', 'd4 Nf6 Nf3'],
+    ['A51', 'Budapest Gambit', 'd4 Nf6 c4 e5', 0],
+    ['A56', 'Benoni Defense', 'd4 Nf6 c4 c5'],
+    ['A57', 'Benko Gambit', 'd4 Nf6 c4 c5 d5 b5'],
+    ['A60', 'Benoni Defense: Modern Variation', 'd4 Nf6 c4 c5 d5 e6'],
+    ['A80', 'Dutch Defense', 'd4 f5'],
+    // semi-open games
+    ['B00', "King's Pawn Game", 'e4'],
+    ['B00', 'Nimzowitsch Defense', 'e4 Nc6', 0],
+    ['B00', "Owen's Defense", 'e4 b6', 0],
+    ['B01', 'Scandinavian Defense', 'e4 d5'],
+    ['B01', 'Scandinavian Defense: Mieses-Kotroc Variation', 'e4 d5 exd5 Qxd5'],
+    ['B01', 'Scandinavian Defense: Modern Variation', 'e4 d5 exd5 Nf6'],
+    ['B02', 'Alekhine Defense', 'e4 Nf6'],
+    ['B06', 'Modern Defense', 'e4 g6'],
+    ['B07', 'Pirc Defense', 'e4 d6 d4 Nf6 Nc3 g6'],
+    // Caro-Kann
+    ['B10', 'Caro-Kann Defense', 'e4 c6'],
+    ['B12', 'Caro-Kann Defense: Advance Variation', 'e4 c6 d4 d5 e5'],
+    ['B13', 'Caro-Kann Defense: Exchange Variation', 'e4 c6 d4 d5 exd5 cxd5'],
+    ['B15', 'Caro-Kann Defense', 'e4 c6 d4 d5 Nc3'],
+    ['B17', 'Caro-Kann Defense: Karpov Variation', 'e4 c6 d4 d5 Nc3 dxe4 Nxe4 Nd7'],
+    ['B18', 'Caro-Kann Defense: Classical Variation', 'e4 c6 d4 d5 Nc3 dxe4 Nxe4 Bf5'],
+    // Sicilian
+    ['B20', 'Sicilian Defense', 'e4 c5'],
+    ['B21', 'Sicilian Defense: Smith-Morra Gambit', 'e4 c5 d4 cxd4 c3', 0],
+    ['B22', 'Sicilian Defense: Alapin Variation', 'e4 c5 c3'],
+    ['B23', 'Sicilian Defense: Closed', 'e4 c5 Nc3'],
+    ['B27', 'Sicilian Defense', 'e4 c5 Nf3'],
+    ['B30', 'Sicilian Defense: Old Sicilian', 'e4 c5 Nf3 Nc6'],
+    ['B30', 'Sicilian Defense: Rossolimo Variation', 'e4 c5 Nf3 Nc6 Bb5'],
+    ['B32', 'Sicilian Defense: Open', 'e4 c5 Nf3 Nc6 d4 cxd4 Nxd4'],
+    ['B33', 'Sicilian Defense: Sveshnikov Variation', 'e4 c5 Nf3 Nc6 d4 cxd4 Nxd4 Nf6 Nc3 e5'],
+    ['B40', 'Sicilian Defense: French Variation', 'e4 c5 Nf3 e6'],
+    ['B41', 'Sicilian Defense: Kan Variation', 'e4 c5 Nf3 e6 d4 cxd4 Nxd4 a6'],
+    ['B44', 'Sicilian Defense: Taimanov Variation', 'e4 c5 Nf3 e6 d4 cxd4 Nxd4 Nc6'],
+    ['B50', 'Sicilian Defense', 'e4 c5 Nf3 d6'],
+    ['B51', 'Sicilian Defense: Moscow Variation', 'e4 c5 Nf3 d6 Bb5+'],
+    ['B54', 'Sicilian Defense: Open', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4'],
+    ['B56', 'Sicilian Defense: Classical Variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 Nc6'],
+    ['B70', 'Sicilian Defense: Dragon Variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 g6'],
+    ['B80', 'Sicilian Defense: Scheveningen Variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 e6'],
+    ['B90', 'Sicilian Defense: Najdorf Variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 a6'],
+    // French
+    ['C00', 'French Defense', 'e4 e6'],
+    ['C01', 'French Defense: Exchange Variation', 'e4 e6 d4 d5 exd5 exd5'],
+    ['C02', 'French Defense: Advance Variation', 'e4 e6 d4 d5 e5'],
+    ['C03', 'French Defense: Tarrasch Variation', 'e4 e6 d4 d5 Nd2'],
+    ['C10', 'French Defense: Paulsen Variation', 'e4 e6 d4 d5 Nc3'],
+    ['C10', 'French Defense: Rubinstein Variation', 'e4 e6 d4 d5 Nc3 dxe4'],
+    ['C11', 'French Defense: Classical Variation', 'e4 e6 d4 d5 Nc3 Nf6'],
+    ['C15', 'French Defense: Winawer Variation', 'e4 e6 d4 d5 Nc3 Bb4'],
+    // open games
+    ['C20', "King's Pawn Game", 'e4 e5'],
+    ['C23', "Bishop's Opening", 'e4 e5 Bc4'],
+    ['C25', 'Vienna Game', 'e4 e5 Nc3'],
+    ['C30', "King's Gambit", 'e4 e5 f4', 0],
+    ['C33', "King's Gambit Accepted", 'e4 e5 f4 exf4', 0],
+    ['C40', "King's Knight Opening", 'e4 e5 Nf3'],
+    ['C40', 'Latvian Gambit', 'e4 e5 Nf3 f5', 0],
+    ['C41', 'Philidor Defense', 'e4 e5 Nf3 d6'],
+    ['C42', "Petrov's Defense", 'e4 e5 Nf3 Nf6'],
+    ['C44', "King's Knight Opening: Normal Variation", 'e4 e5 Nf3 Nc6'],
+    ['C44', 'Ponziani Opening', 'e4 e5 Nf3 Nc6 c3', 0],
+    ['C44', 'Scotch Game', 'e4 e5 Nf3 Nc6 d4'],
+    ['C45', 'Scotch Game', 'e4 e5 Nf3 Nc6 d4 exd4 Nxd4'],
+    ['C46', 'Three Knights Opening', 'e4 e5 Nf3 Nc6 Nc3'],
+    ['C47', 'Four Knights Game', 'e4 e5 Nf3 Nc6 Nc3 Nf6'],
+    ['C50', 'Italian Game', 'e4 e5 Nf3 Nc6 Bc4'],
+    ['C50', 'Giuoco Piano', 'e4 e5 Nf3 Nc6 Bc4 Bc5'],
+    ['C50', 'Giuoco Pianissimo', 'e4 e5 Nf3 Nc6 Bc4 Bc5 d3'],
+    ['C51', 'Evans Gambit', 'e4 e5 Nf3 Nc6 Bc4 Bc5 b4', 0],
+    ['C53', 'Giuoco Piano: Main Line', 'e4 e5 Nf3 Nc6 Bc4 Bc5 c3'],
+    ['C55', 'Two Knights Defense', 'e4 e5 Nf3 Nc6 Bc4 Nf6'],
+    ['C57', 'Two Knights Defense: Knight Attack', 'e4 e5 Nf3 Nc6 Bc4 Nf6 Ng5', 0],
+    // Ruy Lopez
+    ['C60', 'Ruy Lopez', 'e4 e5 Nf3 Nc6 Bb5'],
+    ['C65', 'Ruy Lopez: Berlin Defense', 'e4 e5 Nf3 Nc6 Bb5 Nf6'],
+    ['C68', 'Ruy Lopez: Exchange Variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Bxc6'],
+    ['C70', 'Ruy Lopez: Morphy Defense', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4'],
+    ['C84', 'Ruy Lopez: Closed', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7'],
+    ['C88', 'Ruy Lopez: Closed', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3'],
+    // closed games
+    ['D00', "Queen's Pawn Game", 'd4 d5'],
+    ['D00', 'Blackmar-Diemer Gambit', 'd4 d5 e4', 0],
+    ['D00', 'London System', 'd4 d5 Bf4'],
+    ['D02', "Queen's Pawn Game", 'd4 d5 Nf3'],
+    ['D02', 'London System', 'd4 d5 Nf3 Nf6 Bf4'],
+    ['D06', "Queen's Gambit", 'd4 d5 c4'],
+    ['D07', "Queen's Gambit Declined: Chigorin Defense", 'd4 d5 c4 Nc6', 0],
+    ['D08', "Queen's Gambit Declined: Albin Countergambit", 'd4 d5 c4 e5', 0],
+    ['D10', 'Slav Defense', 'd4 d5 c4 c6'],
+    ['D11', 'Slav Defense', 'd4 d5 c4 c6 Nf3'],
+    ['D43', 'Semi-Slav Defense', 'd4 d5 c4 c6 Nf3 Nf6 Nc3 e6'],
+    ['D20', "Queen's Gambit Accepted", 'd4 d5 c4 dxc4'],
+    ['D30', "Queen's Gambit Declined", 'd4 d5 c4 e6'],
+    ['D30', "Queen's Gambit Declined", 'd4 d5 c4 e6 Nf3'],
+    ['D31', "Queen's Gambit Declined", 'd4 d5 c4 e6 Nc3'],
+    ['D35', "Queen's Gambit Declined: Normal Defense", 'd4 d5 c4 e6 Nc3 Nf6'],
+    ['D35', "Queen's Gambit Declined: Exchange Variation", 'd4 d5 c4 e6 Nc3 Nf6 cxd5'],
+    ['D37', "Queen's Gambit Declined: Three Knights Variation", 'd4 d5 c4 e6 Nc3 Nf6 Nf3'],
+    // Indian defenses
+    ['D80', 'Grünfeld Defense', 'd4 Nf6 c4 g6 Nc3 d5'],
+    ['D85', 'Grünfeld Defense: Exchange Variation', 'd4 Nf6 c4 g6 Nc3 d5 cxd5 Nxd5'],
+    ['E00', 'Indian Defense', 'd4 Nf6 c4 e6'],
+    ['E00', 'Catalan Opening', 'd4 Nf6 c4 e6 g3'],
+    ['E10', 'Indian Defense', 'd4 Nf6 c4 e6 Nf3'],
+    ['E11', 'Bogo-Indian Defense', 'd4 Nf6 c4 e6 Nf3 Bb4+'],
+    ['E12', "Queen's Indian Defense", 'd4 Nf6 c4 e6 Nf3 b6'],
+    ['E20', 'Nimzo-Indian Defense', 'd4 Nf6 c4 e6 Nc3 Bb4'],
+    ['E32', 'Nimzo-Indian Defense: Classical Variation', 'd4 Nf6 c4 e6 Nc3 Bb4 Qc2'],
+    ['E40', 'Nimzo-Indian Defense: Rubinstein Variation', 'd4 Nf6 c4 e6 Nc3 Bb4 e3'],
+    ['E60', "King's Indian Defense", 'd4 Nf6 c4 g6'],
+    ['E61', "King's Indian Defense", 'd4 Nf6 c4 g6 Nc3 Bg7'],
+    ['E70', "King's Indian Defense: Normal Variation", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6'],
+    ['E80', "King's Indian Defense: Sämisch Variation", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 f3'],
+    ['E92', "King's Indian Defense: Orthodox Variation", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Nf3 O-O Be2 e5']
+  ];
+
+  // ------- BOOK -------
+  // Map positionKey -> { moves: { uci: weight }, opening: { eco, name } | null }; throws on a line that doesn't play out
+  function buildBook(openings = OPENINGS) {
+    const book = new Map();
+    const entry = key => { if (!book.has(key)) book.set(key, { moves: {}, opening: null }); return book.get(key); };
+    openings.forEach(([eco, name, line, weight = 1]) => {
+      const pos = Engine.createPosition();
+      line.split(/\s+/).forEach(san => {
+        const move = Notation.parseSan(pos, san);
+        if (!move) throw new Error(`${eco} ${name}: illegal move ${san}`);
+        const moves = entry(Engine.positionKey(pos)).moves, uci = Notation.toUci(move);
+        moves[uci] = (moves[uci] || 0) + weight;
+        Engine.makeMove(pos, move);
+      });
+      entry(Engine.positionKey(pos)).opening = { eco, name };
+    });
+    return book;
+  }
+
+  // built on first use
+  let defaultBook = null;
+  const getBook = () => defaultBook || (defaultBook = buildBook());
+
+  // ------- LOOKUPS -------
+  // [{ uci, weight }] the book plays from pos, most played first
+  function bookMoves(pos, book = getBook()) {
+    const e = book.get(Engine.positionKey(pos));
+    if (!e) return [];
+    return Object.entries(e.moves).filter(([, w]) => w > 0).map(([uci, weight]) => ({ uci, weight })).sort((a, b) => b.weight - a.weight);
+  }
+
+  // a legal book move picked at random by weight, or null once out of book
+  function pickBookMove(pos, random = Math.random, book = getBook()) {
+    const moves = bookMoves(pos, book);
+    let roll = random() * moves.reduce((sum, m) => sum + m.weight, 0);
+    const picked = moves.find(m => (roll -= m.weight) < 0);
+    return (picked && Notation.parseUci(pos, picked.uci)) || null;
+  }
+
+  // the opening of the latest named position among keys (positionKeys from the start of a game, oldest first)
+  function openingAt(keys, book = getBook()) {
+    for (let i = keys.length - 1; i >= 0; i--) {
+      const e = book.get(keys[i]);
+      if (e && e.opening) return e.opening;
+    }
+    return null;
+  }
+
+  // ------- export -------
+  return { OPENINGS, buildBook, bookMoves, pickBookMove, openingAt };
+});
@@ -1,11 +1,27 @@
 // js/chess.js
 // 3D Chess Master — cleaned, camera & toast behaviors added
-// expects Three.js loaded globally (CDN or local)
+// expects Three.js, engine.js (ChessEngine), notation.js (ChessNotation), ai.js (ChessAI), variants.js (ChessVariants), book.js (ChessBook),
+// engines.js (ChessEngines), analysis.js (ChessAnalysis), access.js (ChessAccess), pieces.js (ChessPieces), themes.js (ChessThemes), clock.js (ChessClock),
+// saves.js (ChessSaves), puzzles.js (ChessPuzzles) and online.js (ChessOnline) loaded globally
 
 (() => {
   // ------- CONFIG -------
-  const SIZE = 8;
-  const PIECE_VALUES = { pawn: 100, knight: 320, bishop: 330, rook: 500, queen: 900, king: 20000 };
+  const Engine = window.ChessEngine;
+  const Notation = window.ChessNotation;
+  const AI = window.ChessAI;
+  const Variants = window.ChessVariants;
+  const Book = window.ChessBook;
+  const Engines = window.ChessEngines;
+  const Analysis = window.ChessAnalysis;
+  const Access = window.ChessAccess;
+  const Pieces = window.ChessPieces;
+  const Themes = window.ChessThemes;
+  const Clock = window.ChessClock;
+  const Saves = window.ChessSaves;
+  const Online = window.ChessOnline;
+  const Puzzles = window.ChessPuzzles;
+  const ARROW_HEAD = 0.4; // length of an analysis arrow's head
+  const PUZZLE_REPLY_MS = 600; // pause before a puzzle's scripted reply
   const SYMBOLS = {
     white: { king:'♔', queen:'♕', rook:'♖', bishop:'♗', knight:'♘', pawn:'♙' },
     black: { king:'♚', queen:'♛', rook:'♜', bishop:'♝', knight:'♞', pawn:'♟' }
@@ -14,12 +30,43 @@
   // ------- STATE -------
   let scene, camera, renderer, raycaster;
   let boardGroup, piecesGroup;
-  let boardState = []; // boardState[z][x] = { type, color, mesh }
-  let currentPlayer = 'white';
-  let gameState = 'playing'; // 'playing'|'ended'
-  let moveHistory = []; // stores { move, captured, mover }
-  let captured = { white: [], black: [] };
-  let useAI = false;
+  let graveyardGroup; // captured meshes, lying beside the board (never picked)
+  let markerGroup, indicatorGroup; // square overlays: selection + legal moves / last move + check
+  let arrowGroup; // analysis arrows for the engine's best line
+  let cursorGroup; // the keyboard cursor's frame, shown while the board has keyboard focus
+  let game = null; // ChessEngine position; game.board[z][x] = { type, color, mesh }
+  let gameState = 'playing'; // 'playing'|'ended'|'editing'
+  let moveHistory = []; // stores { move, undo, mover, san, key, clock } (undo = Engine.makeMove record, key = position after it, clock = time left after it)
+  let startKey = ''; // Engine.positionKey of the starting position, for repetition
+  let startFen = Engine.START_FEN; // where moveHistory begins, for PGN export
+  let variantKey = Variants.DEFAULT_VARIANT; // rules of this game (variants.js key); the picker holds the next game's
+  let gameResult = '*'; // PGN result: '1-0' | '0-1' | '1/2-1/2' | '*'
+  let pgnTags = {}; // tag pairs kept from an imported PGN
+  let drawOffer = null; // color that offered a draw, until the opponent accepts or moves
+  let viewPly = null; // null = live position, else number of moves shown while browsing the move list
+  let endMessage = ''; // statusBox text of a finished game, shown again when browsing returns to the end
+  let aiSides = { white: null, black: null }; // AI.LEVELS key for each side the engine plays, null = human
+  let aiDelay = 1000; // ms between moves when the engine plays both sides
+  let timeControl = null; // { baseMs, incrementMs, mode } for new games, null = untimed
+  let clock = null; // ChessClock state of the current game, null when untimed
+  let clockResume = null; // color whose clock was paused for history browsing
+  let autosaveWarned = false; // storage errors are reported once, not after every move
+  let restoring = false; // a saved game is being put back; half of it must not overwrite the save
+  let online = null; // { conn, url, room, color, token, status, seated, opponent, takeback } while in an online room
+  let engineKind = 'builtin'; // engine playing the AI sides: 'builtin' (ai.js) | 'uci'
+  let uciConfig = { transport: 'websocket', url: 'ws://localhost:8081' }; // where the UCI engine is: uci-bridge.js or a worker script
+  const engines = {}; // ChessEngines instances by kind, created on first use
+  let aiRequest = null; // { engine, request } for the search in flight, or null
+  let analysis = null; // { engine, kind, key, step, search, review, reviewed } while analysis mode is on
+  let puzzleSet = null; // puzzles.json, checked, once first opened
+  let puzzleProgress = null; // Puzzles progress: { rating, streak, bestStreak, solved, failed }
+  let puzzle = null; // { entry, ply, solver, hinted, failed, autoplay, done } while a puzzle is on the board
+  let editor = null; // { pos, tool, lift, dragFrom } while setting up a position (see BOARD EDITOR)
+  let puzzlesSeen = []; // ids shown since the page loaded, so Next moves on through the set
+  let prefs = { animations: true, cameraFollow: true, theme: Themes.DEFAULT_THEME }; // view settings, kept in localStorage
+  let animQueue = []; // steps waiting to play: each is a list of tweens that run together
+  let animStep = null; // { tweens, started } playing now
+  let graveyard = { white: [], black: [] }; // captured meshes by color, in capture order
   let resources = { geos: {}, mats: {} };
 
   // camera / view control
@@ -29,18 +76,95 @@
   const cameraTarget = new THREE.Vector3();
   const cameraLookTarget = new THREE.Vector3(0, 0, 0);
   const cameraLookCurrent = new THREE.Vector3(0, 0, 0);
+  const cameraFollow = new THREE.Vector3(0, 0, 0); // pull on the look target toward a moving piece
+  const cameraLookAim = new THREE.Vector3(0, 0, 0);
   const CAMERA_LERP = 0.12;
+  const CAMERA_FOV = 50;
 
   // DOM
   const loadingScreen = document.getElementById('loadingScreen');
   const app = document.getElementById('app');
   const turnBox = document.getElementById('turnBox');
   const statusBox = document.getElementById('statusBox');
+  const openingBox = document.getElementById('openingBox');
   const wCaptured = document.getElementById('capturedByWhite');
   const bCaptured = document.getElementById('capturedByBlack');
+  const moveList = document.getElementById('moveList');
   const newBtn = document.getElementById('newBtn');
   const undoBtn = document.getElementById('undoBtn');
-  const aiBtn = document.getElementById('aiBtn');
+  const enginePicker = document.getElementById('enginePicker');
+  const aiOverlay = document.getElementById('aiOverlay');
+  const aiSideSelect = document.getElementById('aiSide');
+  const aiLevelSelects = { white: document.getElementById('aiLevelWhite'), black: document.getElementById('aiLevelBlack') };
+  const aiDelaySelect = document.getElementById('aiDelay');
+  const aiEngineSelect = document.getElementById('aiEngine');
+  const uciTransportSelect = document.getElementById('uciTransport');
+  const uciUrlInput = document.getElementById('uciUrl');
+  const drawBtn = document.getElementById('drawBtn');
+  const analysisBtn = document.getElementById('analysisBtn');
+  const analysisBox = document.getElementById('analysisBox');
+  const puzzleBox = document.getElementById('puzzleBox');
+  const puzzleTitle = document.getElementById('puzzleTitle');
+  const puzzleStats = document.getElementById('puzzleStats');
+  const puzzleHintBtn = document.getElementById('puzzleHintBtn');
+  const puzzleSolutionBtn = document.getElementById('puzzleSolutionBtn');
+  const editorBox = document.getElementById('editorBox');
+  const editorPalette = document.getElementById('editorPalette');
+  const editorTurn = document.getElementById('editorTurn');
+  const editorErrors = document.getElementById('editorErrors');
+  const editorPlayBtn = document.getElementById('editorPlayBtn');
+  const castleBoxes = {
+    K: document.getElementById('castleWhiteKing'), Q: document.getElementById('castleWhiteQueen'),
+    k: document.getElementById('castleBlackKing'), q: document.getElementById('castleBlackQueen')
+  };
+  const analysisLine = document.getElementById('analysisLine');
+  const reviewBtn = document.getElementById('reviewBtn');
+  const reviewStatus = document.getElementById('reviewStatus');
+  const reviewList = document.getElementById('reviewList');
+  const evalBar = document.getElementById('evalBar');
+  const evalFill = document.getElementById('evalFill');
+  const evalText = document.getElementById('evalText');
+  const animToggle = document.getElementById('animToggle');
+  const followToggle = document.getElementById('followToggle');
+  const spinBtn = document.getElementById('spinBtn');
+  const announcer = document.getElementById('announcer');
+  const a11yBoard = document.getElementById('a11yBoard');
+  const moveInput = document.getElementById('moveInput');
+  const themeSelect = document.getElementById('themeSelect');
+  const resignBtn = document.getElementById('resignBtn');
+  const promoOverlay = document.getElementById('promoOverlay');
+  const promoChoices = document.getElementById('promoChoices');
+  const fenBtn = document.getElementById('fenBtn');
+  const fenOverlay = document.getElementById('fenOverlay');
+  const fenInput = document.getElementById('fenInput');
+  const fenError = document.getElementById('fenError');
+  const pgnOverlay = document.getElementById('pgnOverlay');
+  const pgnInput = document.getElementById('pgnInput');
+  const pgnError = document.getElementById('pgnError');
+  const pgnFile = document.getElementById('pgnFile');
+  const clocksBox = document.getElementById('clocks');
+  const clockEls = { white: document.getElementById('clockWhite'), black: document.getElementById('clockBlack') };
+  const timeControlSelect = document.getElementById('timeControl');
+  const variantSelect = document.getElementById('variantSelect');
+  const variantInfo = document.getElementById('variantInfo');
+  const customTime = document.getElementById('customTime');
+  const gamesOverlay = document.getElementById('gamesOverlay');
+  const savedList = document.getElementById('savedList');
+  const saveNameInput = document.getElementById('saveName');
+  const gamesError = document.getElementById('gamesError');
+  const onlineBtn = document.getElementById('onlineBtn');
+  const onlineOverlay = document.getElementById('onlineOverlay');
+  const onlineServer = document.getElementById('onlineServer');
+  const onlineColor = document.getElementById('onlineColor');
+  const onlineRoomInput = document.getElementById('onlineRoom');
+  const onlineError = document.getElementById('onlineError');
+  const onlineLeaveBtn = document.getElementById('onlineLeaveBtn');
+  const onlineBox = document.getElementById('onlineBox');
+  // reading window.localStorage itself throws when the browser blocks storage
+  const store = (() => { try { return window.localStorage || null; } catch (err) { return null; } })();
+
+  // promotion picker: callback waiting for the chosen piece type while the overlay is open
+  let promotionPending = null;
 
   // Toast element (created at startup)
   let toastEl = null;
@@ -63,7 +187,7 @@
     scene = new THREE.Scene();
     scene.background = new THREE.Color(0x071226);
 
-    camera = new THREE.PerspectiveCamera(50, window.innerWidth / window.innerHeight, 0.1, 200);
+    camera = new THREE.PerspectiveCamera(CAMERA_FOV, window.innerWidth / window.innerHeight, 0.1, 200);
     // initial camera position - top view (we'll use cameraTarget for smooth transitions)
     camera.position.set(0, 30, 0.001);
     camera.lookAt(0, 0, 0);
@@ -83,13 +207,22 @@
     // groups
     boardGroup = new THREE.Group();
     piecesGroup = new THREE.Group();
+    graveyardGroup = new THREE.Group();
     scene.add(boardGroup);
     scene.add(piecesGroup);
+    scene.add(graveyardGroup);
 
     // resources and board
     createResources();
     createBoard();
-    initBoardState();
+    // overlays ride on the board so they stay on their squares
+    markerGroup = new THREE.Group();
+    indicatorGroup = new THREE.Group();
+    arrowGroup = new THREE.Group();
+    cursorGroup = new THREE.Group();
+    boardGroup.add(indicatorGroup, markerGroup, arrowGroup, cursorGroup);
+    createAccessibleBoard();
+    createEditorPalette();
     createPieces();
     updateUI();
 
@@ -98,16 +231,95 @@
 
     // event listeners
     renderer.domElement.addEventListener('pointerdown', onPointerDown);
+    renderer.domElement.addEventListener('pointermove', onPointerMove);
+    renderer.domElement.addEventListener('pointerup', onPointerUp);
+    renderer.domElement.addEventListener('pointercancel', onPointerUp);
+    renderer.domElement.addEventListener('wheel', onWheel, { passive: false });
+    renderer.domElement.addEventListener('contextmenu', (e) => e.preventDefault()); // right-drag pans
+    renderer.domElement.addEventListener('dragover', (e) => { if (editor) e.preventDefault(); }); // palette pieces drop here
+    renderer.domElement.addEventListener('drop', onPaletteDrop);
     renderer.domElement.addEventListener('click', onCanvasClick);
     renderer.domElement.addEventListener('dblclick', onCanvasDblClick);
     window.addEventListener('resize', onResize);
 
     newBtn.addEventListener('click', resetGame);
     undoBtn.addEventListener('click', undoMove);
-    aiBtn.addEventListener('click', toggleAI);
+    enginePicker.addEventListener('change', onEnginePicked);
+    aiEngineSelect.addEventListener('change', renderUciFields);
+    analysisBtn.addEventListener('click', toggleAnalysis);
+    reviewBtn.addEventListener('click', startReview);
+    document.getElementById('aiApplyBtn').addEventListener('click', applyAISettings);
+    document.getElementById('aiCloseBtn').addEventListener('click', closeAIDialog);
+    drawBtn.addEventListener('click', onDrawClick);
+    resignBtn.addEventListener('click', resign);
+    fenBtn.addEventListener('click', openFenDialog);
+    document.getElementById('fenLoadBtn').addEventListener('click', loadFenFromDialog);
+    document.getElementById('fenCopyBtn').addEventListener('click', copyFen);
+    document.getElementById('fenCloseBtn').addEventListener('click', closeFenDialog);
+    document.getElementById('pgnBtn').addEventListener('click', openPgnDialog);
+    document.getElementById('pgnImportBtn').addEventListener('click', () => importPgn(pgnInput.value));
+    document.getElementById('pgnDownloadBtn').addEventListener('click', () => downloadPgn());
+    document.getElementById('pgnOpenBtn').addEventListener('click', () => pgnFile.click());
+    document.getElementById('pgnCloseBtn').addEventListener('click', closePgnDialog);
+    pgnFile.addEventListener('change', onPgnFileChosen);
+    document.getElementById('navFirst').addEventListener('click', () => goToPly(0));
+    document.getElementById('navPrev').addEventListener('click', () => goToPly(shownPly() - 1));
+    document.getElementById('navNext').addEventListener('click', () => goToPly(shownPly() + 1));
+    document.getElementById('navLast').addEventListener('click', goLive);
+    window.addEventListener('keydown', onNavKey);
+    a11yBoard.addEventListener('keydown', onBoardKey);
+    a11yBoard.addEventListener('focus', () => { boardFocused = true; showCursor(); });
+    a11yBoard.addEventListener('blur', () => { boardFocused = false; showCursor(); });
+    moveInput.addEventListener('keydown', (e) => { if (e.key === 'Enter') { e.preventDefault(); submitTypedMove(); } });
+    timeControlSelect.addEventListener('change', onTimeControlChange);
+    variantSelect.addEventListener('change', onVariantChange);
+    document.getElementById('gamesBtn').addEventListener('click', openGamesDialog);
+    document.getElementById('puzzleBtn').addEventListener('click', openPuzzles);
+    document.getElementById('puzzleNextBtn').addEventListener('click', openPuzzles);
+    document.getElementById('puzzleExitBtn').addEventListener('click', exitPuzzles);
+    puzzleHintBtn.addEventListener('click', showPuzzleHint);
+    puzzleSolutionBtn.addEventListener('click', showPuzzleSolution);
+    document.getElementById('editorBtn').addEventListener('click', openEditor);
+    document.getElementById('editorClearBtn').addEventListener('click', () => setEditorBoard(Engine.emptyBoard(), ''));
+    document.getElementById('editorStartBtn').addEventListener('click', () => setEditorBoard(Engine.startingBoard(), 'KQkq'));
+    document.getElementById('editorCancelBtn').addEventListener('click', closeEditor);
+    editorPlayBtn.addEventListener('click', playEditedPosition);
+    editorTurn.addEventListener('change', () => { if (editor) { editor.pos.turn = editorTurn.value; renderEditor(); } });
+    Object.values(castleBoxes).forEach(box => box.addEventListener('change', renderEditor));
+    document.getElementById('saveGameBtn').addEventListener('click', saveCurrentGame);
+    document.getElementById('gamesCloseBtn').addEventListener('click', closeGamesDialog);
+    onlineBtn.addEventListener('click', openOnlineDialog);
+    document.getElementById('onlineCreateBtn').addEventListener('click', createOnlineRoom);
+    document.getElementById('onlineJoinBtn').addEventListener('click', joinOnlineRoom);
+    document.getElementById('onlineCloseBtn').addEventListener('click', closeOnlineDialog);
+    onlineLeaveBtn.addEventListener('click', () => { leaveOnline(); closeOnlineDialog(); });
+    customTime.addEventListener('change', onTimeControlChange);
+    animToggle.addEventListener('change', onPrefsChange);
+    followToggle.addEventListener('change', onPrefsChange);
+    themeSelect.addEventListener('change', onPrefsChange);
+    document.getElementById('viewTopBtn').addEventListener('click', () => setTopCameraTarget(cameraTarget.z < 0 ? 'black' : 'white'));
+    document.getElementById('view3DBtn').addEventListener('click', setNeutral3DTarget);
+    document.getElementById('viewWhiteBtn').addEventListener('click', setWhiteFrontTarget);
+    document.getElementById('viewBlackBtn').addEventListener('click', setBlackFrontTarget);
+    spinBtn.addEventListener('click', toggleAutoRotate);
+    setInterval(tickClocks, 100);
+    promoOverlay.addEventListener('click', (e) => { if (e.target === promoOverlay) closePromotionPicker(null); });
+    fenOverlay.addEventListener('click', (e) => { if (e.target === fenOverlay) closeFenDialog(); });
+    pgnOverlay.addEventListener('click', (e) => { if (e.target === pgnOverlay) closePgnDialog(); });
+    aiOverlay.addEventListener('click', (e) => { if (e.target === aiOverlay) closeAIDialog(); });
+    gamesOverlay.addEventListener('click', (e) => { if (e.target === gamesOverlay) closeGamesDialog(); });
+    onlineOverlay.addEventListener('click', (e) => { if (e.target === onlineOverlay) closeOnlineDialog(); });
+    window.addEventListener('keydown', (e) => {
+      if (e.key !== 'Escape') return;
+      if (promotionPending) closePromotionPicker(null);
+      closeFenDialog(); closePgnDialog(); closeAIDialog(); closeGamesDialog(); closeOnlineDialog();
+    });
 
     // set initial camera targets (top)
     setTopCameraTarget();
+    restorePrefs();
+    restoreAutosave();
+    resumeOnlineSession();
 
     animate();
   }
@@ -115,20 +327,33 @@
   // ------- RESOURCES -------
   function createResources() {
     const geos = resources.geos, mats = resources.mats;
-    geos.pawn = new THREE.ConeGeometry(0.35, 0.9, 20);
-    geos.rook = new THREE.CylinderGeometry(0.35, 0.35, 0.8, 20);
-    geos.knight = new THREE.ConeGeometry(0.38, 1, 8);
-    geos.bishop = new THREE.ConeGeometry(0.34, 1, 20);
-    geos.queen = new THREE.ConeGeometry(0.42, 1.05, 20);
-    geos.king = new THREE.CylinderGeometry(0.42, 0.42, 1.05, 20);
+    Object.assign(geos, Pieces.createPieceGeometries(THREE));
     geos.square = new THREE.BoxGeometry(1, 0.08, 1);
 
-    mats.lightSquare = new THREE.MeshPhongMaterial({ color: 0xf0d9b5 });
-    mats.darkSquare = new THREE.MeshPhongMaterial({ color: 0xb58863 });
-    mats.whitePiece = new THREE.MeshPhongMaterial({ color: 0xf5f5f5, shininess: 120 });
-    mats.blackPiece = new THREE.MeshPhongMaterial({ color: 0x111111, shininess: 30 });
+    // colors come from the theme (applyTheme), which recolors these in place
+    ['lightSquare', 'darkSquare', 'whitePiece', 'blackPiece', 'floor'].forEach(k => { mats[k] = new THREE.MeshPhongMaterial(); });
+    applyTheme(prefs.theme);
     mats.highlight = new THREE.MeshBasicMaterial({ color: 0x00e676, transparent: true, opacity: 0.25 });
 
+    // square overlays (flat, drawn just above the squares)
+    geos.tile = new THREE.PlaneGeometry(1, 1);
+    geos.moveDot = new THREE.CircleGeometry(0.16, 24);
+    geos.captureRing = new THREE.RingGeometry(0.36, 0.46, 32);
+    geos.checkGlow = new THREE.CircleGeometry(0.5, 32);
+    mats.moveDot = new THREE.MeshBasicMaterial({ color: 0x00e676, transparent: true, opacity: 0.7, depthWrite: false });
+    mats.capture = new THREE.MeshBasicMaterial({ color: 0xff7043, transparent: true, opacity: 0.8, depthWrite: false });
+    mats.lastMove = new THREE.MeshBasicMaterial({ color: 0xffeb3b, transparent: true, opacity: 0.3, depthWrite: false });
+    mats.check = new THREE.MeshBasicMaterial({ color: 0xff1744, transparent: true, opacity: 0.55, depthWrite: false });
+    mats.hill = new THREE.MeshBasicMaterial({ color: 0xff9100, transparent: true, opacity: 0.22, depthWrite: false });
+    // a four-sided ring turned 45° is a square frame
+    geos.cursorFrame = new THREE.RingGeometry(0.56, 0.68, 4, 1, Math.PI / 4);
+    mats.cursor = new THREE.MeshBasicMaterial({ color: 0x00e5ff, transparent: true, opacity: 0.9, depthWrite: false });
+
+    // analysis arrows: a unit-length shaft stretched per arrow, and a head; fainter further down the best line
+    geos.arrowShaft = new THREE.CylinderGeometry(0.07, 0.07, 1, 12);
+    geos.arrowHead = new THREE.ConeGeometry(0.2, ARROW_HEAD, 16);
+    mats.arrows = [0.85, 0.5, 0.3].map(opacity => new THREE.MeshBasicMaterial({ color: 0x66fff0, transparent: true, opacity, depthWrite: false }));
+
     resources.geos = geos; resources.mats = mats;
   }
 
@@ -145,60 +370,84 @@
         boardGroup.add(sq);
       }
     }
-    const floor = new THREE.Mesh(new THREE.PlaneGeometry(40, 40), new THREE.MeshPhongMaterial({ color: 0x04060a }));
+    const floor = new THREE.Mesh(new THREE.PlaneGeometry(40, 40), resources.mats.floor);
     floor.rotation.x = -Math.PI / 2; floor.position.y = -0.05; scene.add(floor);
   }
 
   // ------- STATE HELPERS -------
-  function initBoardState() {
-    boardState = Array(8).fill().map(() => Array(8).fill(null));
-  }
-
+  // builds a mesh for the engine square at (x, z) and hangs it on the square object
   function spawnPiece(type, color, x, z) {
     const geo = resources.geos[type] || resources.geos.pawn;
     const mat = color === 'white' ? resources.mats.whitePiece : resources.mats.blackPiece;
     const mesh = new THREE.Mesh(geo, mat);
-    mesh.position.set(x - 3.5, 0.45, z - 3.5);
+    mesh.position.copy(squarePosition(x, z));
     mesh.userData = { type, color, x, z };
+    mesh.rotation.y = color === 'white' ? 0 : Math.PI; // knights face the enemy
     mesh.castShadow = true;
     piecesGroup.add(mesh);
-    boardState[z][x] = { type, color, mesh };
+    if (!game.board[z][x]) game.board[z][x] = { type, color };
+    game.board[z][x].mesh = mesh;
   }
 
-  function createPieces() {
-    piecesGroup.clear();
-    const back = ['rook', 'knight', 'bishop', 'queen', 'king', 'bishop', 'knight', 'rook'];
-    for (let i = 0; i < 8; i++) {
-      spawnPiece(back[i], 'black', i, 0);
-      spawnPiece('pawn', 'black', i, 1);
-      spawnPiece('pawn', 'white', i, 6);
-      spawnPiece(back[i], 'white', i, 7);
+  // where a piece mesh stands on square (x, z)
+  function squarePosition(x, z) { return new THREE.Vector3(x - 3.5, 0.45, z - 3.5); }
+
+  function createPieces(pos = Variants.setup(variantKey)) {
+    clearAnimations();
+    piecesGroup.clear(); graveyardGroup.clear();
+    graveyard = { white: [], black: [] };
+    game = pos;
+    startKey = Engine.positionKey(game);
+    startFen = Engine.toFen(game);
+    for (let z = 0; z < 8; z++) for (let x = 0; x < 8; x++) {
+      const p = game.board[z][x]; if (p) spawnPiece(p.type, p.color, x, z);
     }
   }
 
   // ------- POINTER & MOVES -------
   let selectedMesh = null;
-  function onPointerDown(e) {
-    if (gameState !== 'playing') return;
 
+  // the piece or square under the pointer, or null (overlays and empty space)
+  function pickObject(e) {
+    aimRay(e);
+    const hits = raycaster.intersectObjects([...piecesGroup.children, ...boardGroup.children], true);
+    if (!hits.length) return null;
+    const data = hits[0].object.userData || {};
+    return data.type === 'square' || data.color ? hits[0].object : null;
+  }
+
+  // points the raycaster from the camera through the pointer
+  function aimRay(e) {
     const rect = renderer.domElement.getBoundingClientRect();
     const mouse = new THREE.Vector2(((e.clientX - rect.left) / rect.width) * 2 - 1, -((e.clientY - rect.top) / rect.height) * 2 + 1);
     raycaster.setFromCamera(mouse, camera);
-    const hits = raycaster.intersectObjects([...piecesGroup.children, ...boardGroup.children], true);
-    if (!hits.length) return;
-    const hit = hits[0].object;
+  }
+
+  function onBoardPress(hit) {
+    // browsing the move list is read-only, and a puzzle's reply isn't the player's to make
+    if (gameState !== 'playing' || promotionPending || viewPly !== null || isPuzzleScripted()) return;
+    const data = hit.userData;
+
+    // king selected, own rook clicked: castle if that rook can (the way to castle in Chess960, where the king may land on it)
+    const castle = selectedMesh && data.color === game.turn && selectedMesh.userData.type === 'king' &&
+      Engine.findLegalMove(game, { fromX: selectedMesh.userData.x, fromZ: selectedMesh.userData.z, toX: data.x, toZ: data.z });
+    if (castle) { clearHighlights(); selectedMesh = null; performMove(castle); return; }
 
-    // Select your own piece
-    if (hit.userData && hit.userData.color && hit.userData.color === currentPlayer) {
+    // Select your own piece (clicking it again deselects)
+    if (data.color && data.color === game.turn && !isAITurn() && !isRemoteTurn()) {
+      if (hit === selectedMesh) { clearHighlights(); selectedMesh = null; return; }
       selectedMesh = hit;
       highlightLegalMoves(selectedMesh);
       return;
     }
 
-    // If square clicked and piece selected -> attempt move
-    if (hit.userData && hit.userData.type === 'square' && selectedMesh) {
-      const move = { fromX: selectedMesh.userData.x, fromZ: selectedMesh.userData.z, toX: hit.userData.x, toZ: hit.userData.z };
-      if (isLegalMove(move, currentPlayer)) {
+    // If a square (or the enemy piece standing on it) is clicked with a piece selected -> attempt move
+    if ((data.type === 'square' || data.color) && selectedMesh) {
+      const move = Engine.findLegalMove(game, { fromX: selectedMesh.userData.x, fromZ: selectedMesh.userData.z, toX: data.x, toZ: data.z });
+      if (move && move.promotion) {
+        // let the player pick the piece; the engine offers every promotion type as its own move
+        openPromotionPicker(game.turn, type => performMove({ ...move, promotion: type }));
+      } else if (move) {
         performMove(move);
       } else {
         // invalid move feedback
@@ -209,297 +458,1579 @@
     }
   }
 
-  // ------- MOVE GENERATION / LEGALITY (unchanged logic) -------
-  function isInside(x, z) { return x >= 0 && x < 8 && z >= 0 && z < 8; }
-  function cloneBoard(bs) {
-    const c = Array(8).fill().map(() => Array(8).fill(null));
-    for (let z = 0; z < 8; z++) for (let x = 0; x < 8; x++) if (bs[z][x]) c[z][x] = { type: bs[z][x].type, color: bs[z][x].color };
-    return c;
+  // ------- PERFORM MOVE (with toast hooks) -------
+  // quiet: no toasts and no AI reply (used when replaying an imported game)
+  // fromNetwork: the online opponent's move, which must not be sent back
+  function performMove(move, { quiet = false, fromNetwork = false } = {}) {
+    // puzzles check every move against the solution first; a wrong one is never played
+    const verdict = puzzle && !quiet ? puzzleVerdict(move) : null;
+    if (verdict === 'wrong' || verdict === 'done') return;
+    // a move made after the flag fell (but before the next tick noticed) doesn't count
+    if (!quiet && clock) { tickClocks(); if (gameState !== 'playing') return; }
+    const mover = game.turn;
+    const san = Notation.toSan(game, move);
+    const undo = Engine.makeMove(game, move);
+    const target = undo.captured;
+
+    if (clock && !quiet) Clock.press(clock, mover, performance.now());
+    moveHistory.push({ move, undo, mover, san, key: Engine.positionKey(game), clock: clock && { ...clock.remaining } });
+    if (online && !quiet && !fromNetwork) online.conn.send({ type: 'move', uci: Notation.toUci(move), ply: moveHistory.length - 1 });
+    // moving instead of accepting declines the opponent's draw offer
+    if (drawOffer && drawOffer !== mover) setDrawOffer(null);
+    syncMeshesForward(undo, { instant: quiet });
+
+    // engine already flipped game.turn
+    updateUI();
+    evaluateGameState();
+    if (quiet) return;
+    autosave();
+
+    // small toast messages (read out too, see announce)
+    showToast(Access.describeSan(san, mover, target && target.type), 1500);
+    if (target) {
+      // if captured high value piece -> praise (the move toast already said what was taken)
+      if (['queen','rook'].includes(target.type)) {
+        setTimeout(()=> showToast("That's a great move! 🔥", 1700), 400);
+      } else if (undo.capturedAt.z !== move.toZ) {
+        setTimeout(()=> showToast('En passant!', 1200), 350);
+      }
+    }
+
+    if (puzzle) advancePuzzle(verdict); else maybeAIMove(220);
+  }
+
+  function isAITurn() { return !puzzle && !!aiSides[game.turn]; }
+  // a puzzle's replies are scripted, and so is the whole line while the solution plays out
+  function isPuzzleScripted() { return !!puzzle && (puzzle.autoplay || game.turn !== puzzle.solver); }
+  function isAIvsAI() { return !!(aiSides.white && aiSides.black); }
+
+  function maybeAIMove(delay) {
+    // engine-vs-engine games wait aiDelay between moves so they can be watched
+    if (isAITurn() && gameState === 'playing' && viewPly === null) setTimeout(makeBestAIMove, isAIvsAI() ? Math.max(delay, aiDelay) : delay);
   }
 
-  function isLegalMove(move, player) {
-    const from = boardState[move.fromZ][move.fromX]; if (!from || from.color !== player) return false;
-    if (!isPseudoLegal(move, boardState)) return false;
-    const bsClone = cloneBoard(boardState);
-    applyMoveOnClone(bsClone, move);
-    return !isKingInCheck(bsClone, player);
+  function findMeshAt(x, z) {
+    for (const ch of piecesGroup.children) if (ch.userData && ch.userData.x === x && ch.userData.z === z) return ch;
+    return null;
   }
 
-  function applyMoveOnClone(bs, move) {
-    const piece = bs[move.fromZ][move.fromX];
-    bs[move.toZ][move.toX] = piece;
-    bs[move.fromZ][move.fromX] = null;
-    if (piece && piece.type === 'pawn' && (move.toZ === 0 || move.toZ === 7)) bs[move.toZ][move.toX].type = 'queen';
+  // ------- MESH SYNC -------
+  // moves the meshes to match a move the engine just made (undo = its makeMove record)
+  // the engine position changes at once; the meshes follow through the animation queue (instant: no animation)
+  function syncMeshesForward(undo, { instant = false } = {}) {
+    const m = undo.move;
+    if (!undo.piece.mesh) undo.piece.mesh = findMeshAt(m.fromX, m.fromZ);
+    const step = [moveTween(undo.piece, undo.kingTo ?? m.toX, m.toZ)];
+    // castling: the rook comes along
+    if (undo.rook) step.push(moveTween(undo.rook.piece, undo.rook.toX, undo.rook.z, { arc: 0 }));
+    if (undo.captured && undo.captured.mesh) step.push(buryTween(undo.captured));
+    playStep(step, instant);
   }
 
-  function isKingInCheck(bs, player) {
-    let kx = -1, kz = -1;
-    for (let z = 0; z < 8; z++) for (let x = 0; x < 8; x++) if (bs[z][x] && bs[z][x].type === 'king' && bs[z][x].color === player) { kx = x; kz = z; }
-    if (kx === -1) return true;
-    const opponent = player === 'white' ? 'black' : 'white';
-    for (let z = 0; z < 8; z++) for (let x = 0; x < 8; x++) if (bs[z][x] && bs[z][x].color === opponent) {
-      const pseudo = { fromX: x, fromZ: z, toX: kx, toZ: kz };
-      if (isPseudoLegal(pseudo, bs, true)) return true;
+  // the reverse, after Engine.unmakeMove
+  function syncMeshesBack(undo, { instant = false } = {}) {
+    const m = undo.move;
+    // move the piece mesh back (the tween also undoes a promotion's geometry)
+    const step = [moveTween(undo.piece, m.fromX, m.fromZ)];
+    if (undo.rook) step.push(moveTween(undo.rook.piece, undo.rook.fromX, undo.rook.z, { arc: 0 }));
+
+    const cap = undo.captured, at = undo.capturedAt;
+    if (cap) {
+      // the captured piece climbs out of the graveyard onto its square (differs from m.to for en passant)
+      if (cap.mesh) step.push(raiseTween(cap, at.x, at.z));
+      else spawnPiece(cap.type, cap.color, at.x, at.z);
     }
-    return false;
-  }
-
-  function isPseudoLegal(move, bs, forCheck = false) {
-    const piece = bs[move.fromZ] && bs[move.fromZ][move.fromX]; if (!piece) return false;
-    const dx = move.toX - move.fromX, dz = move.toZ - move.fromZ, adx = Math.abs(dx), adz = Math.abs(dz);
-    const target = bs[move.toZ] && bs[move.toZ][move.toX];
-    if (!forCheck && target && target.color === piece.color) return false;
-
-    switch (piece.type) {
-      case 'pawn': {
-        const dir = piece.color === 'white' ? -1 : 1;
-        const start = piece.color === 'white' ? 6 : 1;
-        if (dx === 0) {
-          if (dz === dir && !target) return true;
-          if (dz === 2 * dir && move.fromZ === start && !target && !bs[move.fromZ + dir][move.fromX]) return true;
-          return false;
-        }
-        if (Math.abs(dx) === 1 && dz === dir) { if (target && target.color !== piece.color) return true; return false; }
-        return false;
-      }
-      case 'rook': {
-        if (dx !== 0 && dz !== 0) return false;
-        return isPathClear(bs, move.fromX, move.fromZ, move.toX, move.toZ);
-      }
-      case 'bishop': {
-        if (adx !== adz) return false;
-        return isPathClear(bs, move.fromX, move.fromZ, move.toX, move.toZ);
-      }
-      case 'queen': {
-        if (dx === 0 || dz === 0 || adx === adz) return isPathClear(bs, move.fromX, move.fromZ, move.toX, move.toZ);
-        return false;
-      }
-      case 'knight':
-        return (adx === 1 && adz === 2) || (adx === 2 && adz === 1);
-      case 'king':
-        return Math.max(adx, adz) === 1;
+    playStep(step, instant);
+  }
+
+  // ------- ANIMATION -------
+  // tween: { mesh, to, rotZ, arc, ms, delay, onDone } — glides mesh to `to` (lifted by `arc` mid-way), tipping to rotZ
+  const MOVE_MS = 320;
+  const BURY_MS = 450;
+  const KNIGHT_ARC = 0.9; // knights hop, everything else barely leaves the board
+  const GLIDE_ARC = 0.12;
+  const FOLLOW = 0.35; // share of the way the 3D camera looks toward a moving piece
+
+  // a board piece going to square (x, z); picking sees the new square at once, the geometry swaps (promotion) on arrival
+  function moveTween(piece, x, z, { arc = piece.type === 'knight' ? KNIGHT_ARC : GLIDE_ARC } = {}) {
+    const mesh = piece.mesh, type = piece.type;
+    mesh.userData = { type, color: piece.color, x, z };
+    return { mesh, to: squarePosition(x, z), rotZ: 0, arc, ms: MOVE_MS, delay: 0, onDone: () => { mesh.geometry = resources.geos[type] || resources.geos.pawn; } };
+  }
+
+  // slot i of a color's graveyard: rows of eight beside the board, white's captures on one side, black's on the other
+  function graveyardPosition(color, i) {
+    const side = color === 'white' ? -1 : 1;
+    return new THREE.Vector3(side * (5 + Math.floor(i / 8) * 0.8), 0.36, (i % 8) - 3.5);
+  }
+
+  // a captured piece topples over and slides to the next free graveyard slot, out of reach of picking
+  function buryTween(piece) {
+    const mesh = piece.mesh, stack = graveyard[piece.color];
+    graveyardGroup.add(mesh);
+    mesh.userData = { type: piece.type, color: piece.color, captured: true };
+    stack.push(mesh);
+    const side = piece.color === 'white' ? -1 : 1;
+    return { mesh, to: graveyardPosition(piece.color, stack.length - 1), rotZ: side * Math.PI / 2, arc: 0.6, ms: BURY_MS, delay: MOVE_MS * 0.6 };
+  }
+
+  // takeback: the captured piece stands up and returns to square (x, z)
+  function raiseTween(piece, x, z) {
+    const mesh = piece.mesh, stack = graveyard[piece.color];
+    // takebacks come in reverse order, so this is normally the last one in
+    stack.splice(stack.lastIndexOf(mesh), 1);
+    piecesGroup.add(mesh);
+    mesh.userData = { type: piece.type, color: piece.color, x, z };
+    return { mesh, to: squarePosition(x, z), rotZ: 0, arc: 0.6, ms: BURY_MS, delay: 0 };
+  }
+
+  // steps play one after another, so quick AI replies and undos never overlap; instant ones first finish the queue
+  function playStep(tweens, instant) {
+    if (instant || !prefs.animations) { finishAnimations(); tweens.forEach(finishTween); return; }
+    animQueue.push(tweens);
+  }
+
+  function finishTween(t) {
+    t.mesh.position.copy(t.to);
+    t.mesh.rotation.z = t.rotZ;
+    if (t.onDone) t.onDone();
+  }
+
+  // jumps every queued mesh to where it ends up
+  function finishAnimations() {
+    if (animStep) animStep.tweens.forEach(finishTween);
+    animQueue.forEach(step => step.forEach(finishTween));
+    animStep = null; animQueue = [];
+    cameraFollow.set(0, 0, 0);
+  }
+
+  // a new board: nothing left to play
+  function clearAnimations() { animStep = null; animQueue = []; cameraFollow.set(0, 0, 0); }
+
+  // called every frame from animate()
+  function updateAnimations(now) {
+    if (!animStep) {
+      if (!animQueue.length) { cameraFollow.set(0, 0, 0); return; }
+      animStep = { tweens: animQueue.shift(), started: now };
+      animStep.tweens.forEach(t => { t.from = t.mesh.position.clone(); t.fromRotZ = t.mesh.rotation.z; });
     }
-    return false;
-  }
-
-  function isPathClear(bs, fX, fZ, tX, tZ) {
-    const sx = Math.sign(tX - fX), sz = Math.sign(tZ - fZ);
-    let x = fX + sx, z = fZ + sz;
-    while (x !== tX || z !== tZ) { if (bs[z][x]) return false; x += sx; z += sz; }
-    return true;
-  }
-
-  function generatePseudoMoves(x, z, bs) {
-    const p = bs[z][x]; if (!p) return [];
-    const moves = []; const t = p.type; const color = p.color; const dir = color === 'white' ? -1 : 1;
-    if (t === 'pawn') {
-      if (isInside(x, z + dir) && !bs[z + dir][x]) moves.push({ toX: x, toZ: z + dir });
-      const start = (color === 'white' ? 6 : 1);
-      if (z === start && !bs[z + dir][x] && !bs[z + 2 * dir][x]) moves.push({ toX: x, toZ: z + 2 * dir });
-      [[x - 1, z + dir], [x + 1, z + dir]].forEach(([nx, nz]) => { if (isInside(nx, nz) && bs[nz][nx] && bs[nz][nx].color !== color) moves.push({ toX: nx, toZ: nz }); });
-    } else if (t === 'knight') {
-      const d = [[1, 2], [2, 1], [-1, 2], [-2, 1], [1, -2], [2, -1], [-1, -2], [-2, -1]];
-      d.forEach(([dx, dz]) => { const nx = x + dx, nz = z + dz; if (isInside(nx, nz) && (!bs[nz][nx] || bs[nz][nx].color !== color)) moves.push({ toX: nx, toZ: nz }); });
-    } else if (t === 'rook' || t === 'bishop' || t === 'queen') {
-      const dirs = (t === 'rook') ? [[1, 0], [-1, 0], [0, 1], [0, -1]] : (t === 'bishop') ? [[1, 1], [1, -1], [-1, 1], [-1, -1]] : [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [1, -1], [-1, 1], [-1, -1]];
-      dirs.forEach(([dx, dz]) => { let nx = x + dx, nz = z + dz; while (isInside(nx, nz)) { if (!bs[nz][nx]) { moves.push({ toX: nx, toZ: nz }); } else { if (bs[nz][nx].color !== color) moves.push({ toX: nx, toZ: nz }); break; } nx += dx; nz += dz; } });
-    } else if (t === 'king') {
-      for (let dx = -1; dx <= 1; dx++) for (let dz = -1; dz <= 1; dz++) { if (dx === 0 && dz === 0) continue; const nx = x + dx, nz = z + dz; if (isInside(nx, nz) && (!bs[nz][nx] || bs[nz][nx].color !== color)) moves.push({ toX: nx, toZ: nz }); }
+    let done = true;
+    animStep.tweens.forEach(t => {
+      const k = Math.max(0, Math.min(1, (now - animStep.started - t.delay) / t.ms));
+      if (k < 1) done = false;
+      const eased = k < 0.5 ? 2 * k * k : 1 - Math.pow(2 - 2 * k, 2) / 2;
+      t.mesh.position.lerpVectors(t.from, t.to, eased);
+      t.mesh.position.y += t.arc * Math.sin(Math.PI * k);
+      t.mesh.rotation.z = t.fromRotZ + (t.rotZ - t.fromRotZ) * eased;
+    });
+    // the 3D camera leans toward the piece that moves (the step's first tween)
+    const lead = animStep.tweens[0].mesh.position;
+    if (is3D && prefs.cameraFollow) cameraFollow.set(lead.x * FOLLOW, 0, lead.z * FOLLOW);
+    if (done) { animStep.tweens.forEach(finishTween); animStep = null; }
+  }
+
+  // ------- VIEW SETTINGS -------
+  function restorePrefs() {
+    if (store) {
+      const saved = Saves.loadPrefs(store);
+      Object.keys(prefs).forEach(k => { if (typeof saved[k] === typeof prefs[k]) prefs[k] = saved[k]; });
     }
-    return moves;
+    if (!(prefs.theme in Themes.THEMES)) prefs.theme = Themes.DEFAULT_THEME;
+    animToggle.checked = prefs.animations;
+    followToggle.checked = prefs.cameraFollow;
+    themeSelect.value = prefs.theme;
+    applyTheme(prefs.theme);
   }
 
-  // ------- PERFORM MOVE (with toast hooks) -------
-  function performMove(move) {
-    const from = boardState[move.fromZ][move.fromX];
-    const target = boardState[move.toZ][move.toX];
-    const mover = currentPlayer;
+  function onPrefsChange() {
+    prefs.animations = animToggle.checked;
+    prefs.cameraFollow = followToggle.checked;
+    prefs.theme = themeSelect.value in Themes.THEMES ? themeSelect.value : Themes.DEFAULT_THEME;
+    applyTheme(prefs.theme);
+    if (!prefs.animations) finishAnimations();
+    if (store) try { Saves.savePrefs(store, prefs); } catch (err) { /* the setting just won't stick */ }
+  }
 
-    moveHistory.push({ move, captured: target ? { type: target.type, color: target.color } : null, mover });
+  // recolors the shared board, piece and floor materials, so every mesh changes at once
+  function applyTheme(key) {
+    const theme = Themes.THEMES[key] || Themes.THEMES[Themes.DEFAULT_THEME];
+    const mats = resources.mats;
+    mats.lightSquare.color.setHex(theme.lightSquare);
+    mats.darkSquare.color.setHex(theme.darkSquare);
+    mats.floor.color.setHex(theme.floor);
+    ['whitePiece', 'blackPiece'].forEach(k => {
+      const t = theme[k];
+      mats[k].color.setHex(t.color); mats[k].specular.setHex(t.specular); mats[k].emissive.setHex(t.emissive);
+      mats[k].shininess = t.shininess;
+    });
+    scene.background.setHex(theme.background);
+  }
 
-    if (target) {
-      // add to captured by mover
-      captured[mover].push(target.type);
-      updateCapturedUI();
-      // remove target mesh
-      if (target.mesh) piecesGroup.remove(target.mesh);
-      boardState[move.toZ][move.toX] = null; // will be set below
+  // ------- UNDO -------
+  function undoMove() {
+    // online, the opponent has to agree first
+    if (online) { requestTakeback(); return; }
+    if (puzzle) { showToast('No undo in puzzles — try a hint', 1500); return; }
+    cancelAISearch();
+    closePromotionPicker(null);
+    clearHighlights(); selectedMesh = null;
+    goLive();
+    if (!moveHistory.length) return;
+    takeBackMove();
+    autosave();
+    // a spectated game just carries on from the earlier position
+    if (isAIvsAI()) maybeAIMove(aiDelay);
+  }
+
+  function takeBackMove() {
+    const last = moveHistory.pop();
+    Engine.unmakeMove(game, last.undo);
+    syncMeshesBack(last.undo);
+    rewindClock();
+
+    setDrawOffer(null);
+    updateUI();
+    gameState = 'playing'; gameResult = '*';
+    statusBox.textContent = 'Game in Progress';
+  }
+
+  // ------- PROMOTION PICKER -------
+  function openPromotionPicker(color, onPick) {
+    promotionPending = onPick;
+    promoChoices.innerHTML = '';
+    Engine.PROMOTION_TYPES.forEach(type => {
+      const b = document.createElement('button');
+      b.className = 'promo-piece'; b.textContent = SYMBOLS[color][type]; b.title = capitalize(type);
+      b.setAttribute('aria-label', `Promote to ${type}`);
+      b.addEventListener('click', () => closePromotionPicker(type));
+      promoChoices.appendChild(b);
+    });
+    promoOverlay.classList.remove('hidden');
+    // keyboard players land on the choices
+    promoChoices.firstChild.focus();
+  }
+
+  // type === null cancels (the pawn stays where it was)
+  function closePromotionPicker(type) {
+    const onPick = promotionPending; promotionPending = null;
+    promoOverlay.classList.add('hidden');
+    if (onPick && type) onPick(type);
+  }
+
+  // ------- FEN DIALOG -------
+  function openFenDialog() {
+    fenInput.value = Engine.toFen(game);
+    fenError.textContent = '';
+    fenOverlay.classList.remove('hidden');
+  }
+
+  function closeFenDialog() { fenOverlay.classList.add('hidden'); }
+
+  function loadFenFromDialog() {
+    if (blockedOnline()) return;
+    let pos;
+    try { pos = positionFromFen(fenInput.value); } catch (err) { fenError.textContent = err.message; return; }
+    const errors = Engine.positionErrors(pos);
+    if (errors.length) { fenError.textContent = errors.join('. '); return; }
+    loadPosition(pos);
+    closeFenDialog();
+    showToast('Position loaded');
+  }
+
+  // a FEN position playing under this game's rules
+  function positionFromFen(fen) { return Variants.attach(Engine.parseFen(fen), variantKey); }
+
+  function copyFen() {
+    fenInput.value = Engine.toFen(game);
+    copyText(fenInput.value, 'Position copied 📋');
+  }
+
+  function copyText(text, okMsg) {
+    const fail = () => showToast('Copy failed — select the text and copy it manually', 2200);
+    if (navigator.clipboard && navigator.clipboard.writeText) navigator.clipboard.writeText(text).then(() => showToast(okMsg), fail);
+    else fail();
+  }
+
+  // ------- PGN DIALOG -------
+  function playerTags(sides, engineName = Engines.BUILTIN_NAME) {
+    const name = (color, n) => sides[color] ? engineName : `Player ${n}`;
+    return { White: name('white', 1), Black: name('black', sides.white ? 1 : 2) };
+  }
+
+  function currentPgn() {
+    const players = playerTags(aiSides, getEngine().name);
+    if (clock) players.TimeControl = Clock.pgnTimeControl(clock.control);
+    return Notation.toPgn({ tags: { ...players, ...pgnTags, ...variantTag(variantKey) }, startFen, sans: moveHistory.map(h => h.san), result: gameResult });
+  }
+
+  function openPgnDialog() {
+    pgnInput.value = currentPgn();
+    pgnError.textContent = '';
+    pgnOverlay.classList.remove('hidden');
+  }
+
+  function closePgnDialog() { pgnOverlay.classList.add('hidden'); }
+
+  // the Variant tag pair for a non-standard game
+  function variantTag(key) {
+    const v = Variants.get(key);
+    return v.pgn ? { Variant: v.pgn } : {};
+  }
+
+  function downloadPgn(text = currentPgn(), name = `3d-chess-${Notation.pgnDate().replace(/\./g, '-')}`) {
+    const url = URL.createObjectURL(new Blob([text], { type: 'application/x-chess-pgn' }));
+    const a = document.createElement('a');
+    a.href = url; a.download = `${name}.pgn`;
+    document.body.appendChild(a); a.click(); a.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  function onPgnFileChosen() {
+    const file = pgnFile.files && pgnFile.files[0]; if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => { pgnInput.value = reader.result; importPgn(reader.result); };
+    reader.readAsText(file);
+    pgnFile.value = '';
+  }
+
+  // checks every move on a scratch position first, then replays them through performMove
+  function importPgn(text) {
+    if (blockedOnline()) return;
+    let parsed, moves, variant;
+    try {
+      parsed = Notation.parsePgn(text);
+      variant = Variants.fromPgnTag(parsed.tags.Variant);
+      if (!variant) throw new Error(`Unsupported variant: ${parsed.tags.Variant}`);
+      const check = Variants.attach(Engine.parseFen(parsed.startFen), variant);
+      moves = parsed.sans.map((san, i) => {
+        const m = Notation.parseSan(check, san);
+        if (!m) throw new Error(`Illegal or ambiguous move ${Math.floor(i / 2) + 1}: ${san}`);
+        Engine.makeMove(check, m);
+        return m;
+      });
+    } catch (err) { pgnError.textContent = err.message; return; }
+
+    loadPosition(Engine.parseFen(parsed.startFen), { quiet: true, variant });
+    moves.forEach(m => performMove(m, { quiet: true }));
+    pgnTags = parsed.tags;
+    if (gameState === 'playing' && parsed.result !== '*') endGame(`Game over: ${parsed.result}`, parsed.result);
+    closePgnDialog();
+    showToast(`Game loaded — ${moves.length} moves`);
+    autosave();
+    maybeAIMove(250);
+  }
+
+  // ------- SAVED GAMES (saves.js) -------
+  function currentRecord() {
+    const now = performance.now();
+    return Saves.createRecord({
+      startFen, variant: variantKey, moves: moveHistory.map(h => h.move), clocks: moveHistory.map(h => h.clock), result: gameResult, tags: pgnTags,
+      ai: { ...aiSides, delay: aiDelay, engine: engineKind, uci: uciConfig },
+      timeControl: timeControl && { key: timeControlSelect.value, ...timeControl },
+      clock: clock && { ...clock.control, white: Clock.timeLeft(clock, 'white', now), black: Clock.timeLeft(clock, 'black', now), running: clock.running || clockResume }
+    });
+  }
+
+  function autosave() {
+    // puzzles and positions being set up never replace the saved game
+    if (!store || puzzle || editor || restoring) return;
+    try { Saves.saveAutosave(store, currentRecord()); }
+    catch (err) { if (!autosaveWarned) { autosaveWarned = true; showToast('Autosave failed — browser storage is full or disabled', 2500); } }
+  }
+
+  function restoreAutosave() {
+    const record = store && Saves.loadAutosave(store);
+    if (!record) return;
+    try { restoreRecord(record); } catch (err) { return; }
+    if (record.moves.length) showToast('Game restored');
+  }
+
+  // puts a saved game back: its settings, the moves replayed quietly, then the clocks as they stood
+  function restoreRecord(record) {
+    const { moves } = Saves.replay(record); // throws before anything on the board changes
+    const side = c => (record.ai[c] in AI.LEVELS ? record.ai[c] : null);
+    aiSides = { white: side('white'), black: side('black') };
+    aiDelay = Number(record.ai.delay) || 1000;
+    setEngine(record.ai.engine === 'uci' ? 'uci' : 'builtin', readUciConfig(record.ai.uci) || uciConfig);
+    syncEnginePicker();
+    setTimeControlInputs(record.timeControl);
+
+    // a replayed mate ends the game (and saves it) before the tags and clocks are back
+    restoring = true;
+    try {
+      loadPosition(Engine.parseFen(record.startFen), { quiet: true, variant: record.variant });
+      moves.forEach((m, i) => { performMove(m, { quiet: true }); moveHistory[i].clock = record.clocks[i] || null; });
+      pgnTags = record.tags || {};
+      clock = record.clock ? Clock.createClock(record.clock) : null;
+      if (clock) {
+        clock.remaining = { white: record.clock.white, black: record.clock.black };
+        // the clock picks up where it was; time spent away from the page doesn't count
+        if (record.clock.running && gameState === 'playing') Clock.start(clock, game.turn, performance.now());
+      }
+    } finally { restoring = false; }
+    renderClocks();
+    if (gameState === 'playing' && record.result !== '*') endGame(`Game over: ${record.result}`, record.result);
+    orientCameraForPlayers();
+    maybeAIMove(250);
+  }
+
+  function openGamesDialog() {
+    gamesError.textContent = store ? '' : 'Browser storage is disabled, games cannot be saved';
+    saveNameInput.value = '';
+    renderSavedList();
+    gamesOverlay.classList.remove('hidden');
+  }
+
+  function closeGamesDialog() { gamesOverlay.classList.add('hidden'); }
+
+  // runs a storage action from the dialog, showing what went wrong instead of throwing
+  function withStore(action) {
+    if (!store) return;
+    try { action(); gamesError.textContent = ''; } catch (err) { gamesError.textContent = err.message; }
+    renderSavedList();
+  }
+
+  function saveCurrentGame() {
+    withStore(() => {
+      const entry = Saves.saveNamed(store, saveNameInput.value || `Game of ${new Date().toLocaleString()}`, currentRecord());
+      saveNameInput.value = '';
+      showToast(`Saved “${entry.name}” 💾`);
+    });
+  }
+
+  function renderSavedList() {
+    savedList.innerHTML = '';
+    const entries = store ? Saves.listSaved(store) : [];
+    if (!entries.length) {
+      const empty = document.createElement('li'); empty.className = 'saved-empty'; empty.textContent = 'No saved games yet';
+      savedList.appendChild(empty); return;
     }
+    entries.forEach(entry => {
+      const row = document.createElement('li'); row.className = 'saved-game';
+      const info = document.createElement('div'); info.className = 'saved-info';
+      const name = document.createElement('div'); name.className = 'saved-name'; name.textContent = entry.name;
+      const meta = document.createElement('div'); meta.className = 'saved-meta';
+      const moves = (entry.record.moves || []).length;
+      meta.textContent = `${new Date(entry.savedAt).toLocaleString()} · ${moves} move${moves === 1 ? '' : 's'} · ${entry.record.result || '*'}`;
+      info.append(name, meta);
+      row.appendChild(info);
+      const actions = { Load: () => loadSavedGame(entry.id), Rename: () => renameSavedGame(entry), Export: () => exportSavedGame(entry.id), Delete: () => deleteSavedGame(entry) };
+      Object.keys(actions).forEach(label => {
+        const btn = document.createElement('button'); btn.className = 'btn secondary small'; btn.textContent = label;
+        btn.addEventListener('click', actions[label]);
+        row.appendChild(btn);
+      });
+      savedList.appendChild(row);
+    });
+  }
+
+  function loadSavedGame(id) {
+    if (blockedOnline()) return;
+    withStore(() => {
+      const entry = Saves.getSaved(store, id); if (!entry) return;
+      restoreRecord(entry.record);
+      autosave();
+      closeGamesDialog();
+      showToast(`Loaded “${entry.name}”`);
+    });
+  }
 
-    const mesh = from.mesh || findMeshAt(move.fromX, move.fromZ) || from.mesh;
+  function renameSavedGame(entry) {
+    const name = window.prompt('Rename saved game', entry.name);
+    if (name === null) return;
+    withStore(() => Saves.renameSaved(store, entry.id, name));
+  }
 
-    // update board state
-    boardState[move.toZ][move.toX] = { type: from.type, color: from.color, mesh: mesh };
-    boardState[move.fromZ][move.fromX] = null;
+  function deleteSavedGame(entry) {
+    if (!window.confirm(`Delete “${entry.name}”?`)) return;
+    withStore(() => Saves.deleteSaved(store, entry.id));
+  }
+
+  // saved games leave the browser as PGN, the same as the PGN dialog's download
+  function exportSavedGame(id) {
+    withStore(() => {
+      const entry = Saves.getSaved(store, id); if (!entry) return;
+      const rec = entry.record, pos = Variants.attach(Engine.parseFen(rec.startFen), rec.variant);
+      const sans = Saves.replay(rec).moves.map(m => { const san = Notation.toSan(pos, m); Engine.makeMove(pos, m); return san; });
+      const tags = { Event: entry.name, ...playerTags(rec.ai), ...(rec.clock ? { TimeControl: Clock.pgnTimeControl(rec.clock) } : {}), ...rec.tags, ...variantTag(rec.variant) };
+      downloadPgn(Notation.toPgn({ tags, startFen: rec.startFen, sans, result: rec.result }), entry.name.replace(/[^\w-]+/g, '-'));
+    });
+  }
+
+  // ------- PUZZLES (puzzles.js) -------
+  // a puzzle is set up through loadPosition like any other position; performMove checks the solver's moves
+  // (puzzleVerdict) and then plays the opponent's replies from the solution (advancePuzzle)
+  function openPuzzles() {
+    if (blockedOnline()) return;
+    if (puzzleSet) { startPuzzle(Puzzles.nextPuzzle(puzzleSet, puzzleProgress, puzzlesSeen)); return; }
+    Puzzles.loadPuzzles().then(set => {
+      puzzleSet = set;
+      puzzleProgress = store ? Puzzles.loadProgress(store) : Puzzles.createProgress();
+      startPuzzle(Puzzles.nextPuzzle(puzzleSet, puzzleProgress));
+    }, err => showToast(`Can't load the puzzles — serve the folder over http (${err.message})`, 3000));
+  }
+
+  function startPuzzle(entry) {
+    if (!entry) return;
+    autosave(); // the game on the board comes back on Exit
+    loadPosition(Engine.parseFen(entry.fen), { quiet: true, variant: Variants.DEFAULT_VARIANT });
+    puzzle = { entry, ply: 0, solver: entry.solver, hinted: false, failed: false, autoplay: false, done: false };
+    puzzlesSeen = [...puzzlesSeen.filter(id => id !== entry.id), entry.id];
+    clock = null; renderClocks(); // no clock in puzzles
+    setTopCameraTarget(entry.solver);
+    puzzleBox.classList.remove('hidden');
+    renderPuzzle();
+    showToast(`${capitalize(entry.solver)} to play — ${entry.theme}`, 2000);
+  }
+
+  function leavePuzzleMode() {
+    puzzle = null;
+    puzzleBox.classList.add('hidden');
+  }
 
-    if (mesh) {
-      mesh.position.set(move.toX - 3.5, 0.45, move.toZ - 3.5);
-      mesh.userData = { type: from.type, color: from.color, x: move.toX, z: move.toZ };
+  // back to the game that was on the board before the puzzles
+  function exitPuzzles() {
+    if (!puzzle) return;
+    leavePuzzleMode();
+    restoreSavedGame();
+  }
+
+  // the autosaved game back on the board, or a new game when there is none to read
+  function restoreSavedGame() {
+    const record = store && Saves.loadAutosave(store);
+    if (record) { try { restoreRecord(record); return; } catch (err) { /* unreadable: start a new game instead */ } }
+    loadPosition(Variants.setup(variantKey));
+  }
+
+  function renderPuzzle() {
+    if (!puzzle) return;
+    const p = puzzleProgress, { theme } = puzzle.entry;
+    puzzleTitle.textContent = !puzzle.done ? `${capitalize(puzzle.solver)} to play — ${theme}` : `${theme} — ${puzzle.autoplay ? 'solution shown' : 'solved'}`;
+    puzzleStats.textContent = `Rating ${p.rating} · Streak ${p.streak} (best ${p.bestStreak}) · Solved ${p.solved.length} / ${puzzleSet.length}`;
+    puzzleHintBtn.disabled = puzzleSolutionBtn.disabled = puzzle.done;
+  }
+
+  // performMove's check: 'wrong' moves get a toast and fail the puzzle for the rating; 'done' once it's over
+  function puzzleVerdict(move) {
+    if (puzzle.done) { showToast('Solved — press Next for another puzzle', 1500); return 'done'; }
+    const verdict = Puzzles.checkMove(puzzle.entry, puzzle.ply, game, move);
+    if (verdict === 'wrong') {
+      showToast('Not the move — try again', 1500);
+      if (!puzzle.failed) { puzzle.failed = true; recordPuzzle('failed'); }
     }
+    return verdict;
+  }
 
-    // promotion
-    if (from.type === 'pawn' && (move.toZ === 0 || move.toZ === 7)) {
-      boardState[move.toZ][move.toX].type = 'queen';
-      if (mesh) mesh.geometry = resources.geos.queen;
+  // after a move of the solution: finish, or play the next scripted move (the opponent's, or any while showing the solution)
+  function advancePuzzle(verdict) {
+    puzzle.ply++;
+    if (verdict === 'solved') { finishPuzzle(); return; }
+    if (puzzle.autoplay || game.turn !== puzzle.solver) {
+      const current = puzzle;
+      setTimeout(() => playPuzzleMove(current), PUZZLE_REPLY_MS);
     }
+  }
 
-    // small toast messages
-    const pieceName = capitalize(from.type);
-    showToast(`He moved ${pieceName}`, 1500);
-    if (target) {
-      // if captured high value piece -> praise
-      if (['queen','rook'].includes(target.type)) {
-        setTimeout(()=> showToast("That's a great move! 🔥", 1700), 400);
-      } else {
-        setTimeout(()=> showToast(`Captured ${target.type}`, 1200), 350);
+  function playPuzzleMove(current) {
+    if (puzzle !== current || current.done) return;
+    goLive();
+    performMove(Notation.parseUci(game, current.entry.moves[current.ply]));
+  }
+
+  function finishPuzzle() {
+    puzzle.done = true;
+    if (!puzzle.failed) recordPuzzle(puzzle.hinted ? 'hinted' : 'solved');
+    renderPuzzle();
+    const msg = puzzle.autoplay ? 'That was the solution — press Next' : puzzle.failed ? 'Solved, at the second try' : 'Puzzle solved! ✅';
+    // after the checkmate toast
+    setTimeout(() => showToast(msg, 2000), 700);
+  }
+
+  function recordPuzzle(outcome) {
+    puzzleProgress = Puzzles.recordResult(puzzleProgress, puzzle.entry, outcome);
+    if (store) { try { Puzzles.saveProgress(store, puzzleProgress); } catch (err) { /* progress just isn't kept */ } }
+    renderPuzzle();
+  }
+
+  // picks up the piece the solution moves next, so its moves light up as well
+  function showPuzzleHint() {
+    if (!puzzle || puzzle.done || game.turn !== puzzle.solver) return;
+    goLive(); closePromotionPicker(null);
+    const m = Notation.parseUci(game, puzzle.entry.moves[puzzle.ply]);
+    puzzle.hinted = true;
+    selectedMesh = findMeshAt(m.fromX, m.fromZ);
+    highlightLegalMoves(selectedMesh);
+    renderAccessibleBoard();
+    showToast(`Hint: move the ${game.board[m.fromZ][m.fromX].type} on ${Engine.squareName(m.fromX, m.fromZ)}`, 2000);
+  }
+
+  // plays the rest of the line for both sides; counts as a miss
+  function showPuzzleSolution() {
+    if (!puzzle || puzzle.done || puzzle.autoplay) return;
+    puzzle.autoplay = true;
+    if (!puzzle.failed) { puzzle.failed = true; recordPuzzle('failed'); }
+    closePromotionPicker(null);
+    clearHighlights(); selectedMesh = null;
+    // on the opponent's turn its reply is already on the way and the line carries on from there
+    if (game.turn === puzzle.solver) playPuzzleMove(puzzle);
+  }
+
+  // ------- BOARD EDITOR -------
+  // the position being set up is the game on the board, so meshes, check glow and the accessible grid all show it;
+  // gameState 'editing' keeps moves, the AI and the clocks away until Play checks it and loads it like a FEN
+  const EDITOR_LIFT = 1.2; // height a dragged piece floats at
+  const CASTLE_FLAGS = { K: ['white', 'king'], Q: ['white', 'queen'], k: ['black', 'king'], q: ['black', 'queen'] };
+  const paletteOf = color => ['king', 'queen', 'rook', 'bishop', 'knight', 'pawn'].map(type => ({ type, color }));
+  const EDITOR_TOOLS = [...paletteOf('white'), 'erase', ...paletteOf('black')];
+  let editorButtons = [];
+
+  function createEditorPalette() {
+    editorButtons = EDITOR_TOOLS.map(tool => {
+      const b = document.createElement('button');
+      b.className = 'editor-piece'; b.draggable = true;
+      b.textContent = tool === 'erase' ? '✕' : SYMBOLS[tool.color][tool.type];
+      b.title = tool === 'erase' ? 'Remove pieces' : `${capitalize(tool.color)} ${tool.type}`;
+      b.setAttribute('aria-label', b.title);
+      // click to pick (again to put down), or drag straight onto a square
+      b.addEventListener('click', () => { if (editor) { editor.tool = editor.tool === tool ? null : tool; editor.lift = null; renderEditor(); } });
+      b.addEventListener('dragstart', (e) => { if (!editor) return; editor.tool = tool; editor.lift = null; e.dataTransfer.setData('text/plain', b.title); renderEditor(); });
+      editorPalette.appendChild(b);
+      return b;
+    });
+  }
+
+  // starts from the position on the board; the game itself comes back on Cancel
+  function openEditor() {
+    if (blockedOnline() || editor) return;
+    if (puzzle) leavePuzzleMode(); else autosave();
+    cancelAISearch();
+    closePromotionPicker(null);
+    clearHighlights(); selectedMesh = null;
+    editor = { pos: Engine.createPosition({ board: Engine.cloneBoard(game.board), turn: game.turn }), tool: null, lift: null, dragFrom: null };
+    editorTurn.value = game.turn;
+    Object.entries(CASTLE_FLAGS).forEach(([flag, [color, side]]) => { castleBoxes[flag].checked = game.castling[color][side] !== null; });
+    moveHistory = []; viewPly = null; setDrawOffer(null);
+    clock = null; clockResume = null;
+    gameState = 'editing'; gameResult = '*';
+    statusBox.textContent = 'Setting up a position';
+    editorBox.classList.remove('hidden');
+    renderEditor();
+    showToast('Set up the position, then press Play', 1800);
+  }
+
+  function leaveEditor() {
+    editor = null;
+    editorBox.classList.add('hidden');
+  }
+
+  function closeEditor() {
+    if (!editor) return;
+    leaveEditor();
+    restoreSavedGame();
+  }
+
+  // Clear / Start position
+  function setEditorBoard(board, rights) {
+    if (!editor) return;
+    editor.pos.board = board; editor.lift = null;
+    Object.keys(CASTLE_FLAGS).forEach(flag => { castleBoxes[flag].checked = rights.includes(flag); });
+    renderEditor();
+  }
+
+  // the setup as a game would start from it: { pos, errors }, pos null while anything is wrong
+  function editedPosition() {
+    const errors = Engine.positionErrors(editor.pos);
+    if (errors.length) return { pos: null, errors };
+    const rights = Object.keys(CASTLE_FLAGS).filter(flag => castleBoxes[flag].checked).join('') || '-';
+    const pos = Engine.parseFen(`${Engine.toFen(editor.pos).split(' ')[0]} ${editor.pos.turn[0]} ${rights} - 0 1`);
+    // parseFen quietly drops rights the king and rook can't back up; a ticked box deserves a reason
+    Object.entries(CASTLE_FLAGS).forEach(([flag, [color, side]]) => {
+      if (castleBoxes[flag].checked && pos.castling[color][side] === null) errors.push(`${capitalize(color)} can't castle ${side}-side: the king and rook aren't on their home squares`);
+    });
+    return { pos: errors.length ? null : pos, errors };
+  }
+
+  function renderEditor() {
+    if (!editor) return;
+    createPieces(editor.pos);
+    updateUI();
+    clearHighlights();
+    const held = editor.lift || editor.dragFrom;
+    if (held) addOverlay(markerGroup, 'selected', held.x, held.z);
+    editorButtons.forEach((b, i) => { const on = EDITOR_TOOLS[i] === editor.tool; b.classList.toggle('active', on); b.setAttribute('aria-pressed', String(on)); });
+    const { errors } = editedPosition();
+    editorErrors.textContent = errors.join('\n');
+    editorPlayBtn.disabled = errors.length > 0;
+  }
+
+  function playEditedPosition() {
+    if (!editor) return;
+    const { pos, errors } = editedPosition();
+    if (!pos) { showToast(errors[0], 2500); return; }
+    loadPosition(pos, { variant: variantSelect.value });
+    showToast('Position set up');
+  }
+
+  // a click, tap or Enter on a square: the lifted piece lands there, or the palette tool is used, or the piece there is lifted
+  function editorPress(x, z) {
+    const board = editor.pos.board, here = board[z][x], tool = editor.tool;
+    if (editor.lift) { editorMove(editor.lift, { x, z }); editor.lift = null; }
+    else if (tool === 'erase') board[z][x] = null;
+    // the same piece again takes it off
+    else if (tool) board[z][x] = here && here.type === tool.type && here.color === tool.color ? null : { type: tool.type, color: tool.color };
+    else if (here) editor.lift = { x, z };
+    renderEditor();
+  }
+
+  function editorMove(from, to) {
+    const board = editor.pos.board, p = board[from.z][from.x];
+    if (!p || (from.x === to.x && from.z === to.z)) return;
+    board[to.z][to.x] = { type: p.type, color: p.color };
+    board[from.z][from.x] = null;
+  }
+
+  // pressing a piece starts a drag: released on another square it moves there, off the board it's removed,
+  // released where it started it was a click
+  function editorPointerDown(hit) {
+    const { x, z } = hit.userData;
+    if (!editor.lift && editor.pos.board[z][x]) { editor.dragFrom = { x, z }; renderEditor(); }
+    else editorPress(x, z);
+  }
+
+  function editorPointerUp(e) {
+    const from = editor.dragFrom;
+    editor.dragFrom = null;
+    // a cancelled gesture puts the piece back
+    if (e.type === 'pointercancel') { renderEditor(); return; }
+    const hit = pickObject(e);
+    if (hit && hit.userData.x === from.x && hit.userData.z === from.z) { editorPress(from.x, from.z); return; }
+    if (hit) editorMove(from, hit.userData);
+    else editor.pos.board[from.z][from.x] = null;
+    renderEditor();
+  }
+
+  // the dragged piece floats under the pointer; it stops being pickable so the release finds the square below it
+  function dragEditorPiece(e) {
+    const mesh = findMeshAt(editor.dragFrom.x, editor.dragFrom.z);
+    if (!mesh) return;
+    aimRay(e);
+    const point = raycaster.ray.intersectPlane(new THREE.Plane(new THREE.Vector3(0, 1, 0), -EDITOR_LIFT), new THREE.Vector3());
+    if (!point) return;
+    mesh.raycast = () => {};
+    mesh.position.set(point.x, EDITOR_LIFT, point.z);
+  }
+
+  function onPaletteDrop(e) {
+    if (!editor || !editor.tool) return;
+    e.preventDefault();
+    const hit = pickObject(e);
+    if (!hit) return;
+    const { x, z } = hit.userData;
+    editor.pos.board[z][x] = editor.tool === 'erase' ? null : { type: editor.tool.type, color: editor.tool.color };
+    renderEditor();
+  }
+
+  // ------- ONLINE PLAY (online.js + server/relay.js) -------
+  function isRemoteTurn() { return !!online && (game.turn !== online.color || online.status !== 'connected'); }
+
+  // new games, imports and AI settings would fork the shared game, so they wait until you leave the room
+  function blockedOnline() {
+    if (online) showToast('Leave the online game first', 1800);
+    return !!online;
+  }
+
+  function openOnlineDialog() {
+    onlineServer.value = online ? online.url : onlineServer.value || Online.defaultServerUrl();
+    onlineError.textContent = '';
+    onlineOverlay.classList.remove('hidden');
+  }
+
+  function closeOnlineDialog() { onlineOverlay.classList.add('hidden'); }
+
+  function createOnlineRoom() { connectOnline(onlineServer.value.trim(), { type: 'create', color: onlineColor.value }); }
+
+  function joinOnlineRoom() {
+    const room = Online.normalizeRoomCode(onlineRoomInput.value);
+    if (!room) { onlineError.textContent = 'Enter the room code your opponent got'; return; }
+    connectOnline(onlineServer.value.trim(), { type: 'join', room });
+  }
+
+  // hello is sent on connect until there is a room; after that every reconnect takes the seat back with the token
+  function connectOnline(url, hello, session = null) {
+    if (!url) { onlineError.textContent = 'Enter the relay server address'; return; }
+    leaveOnline({ quiet: true });
+    const me = online = { url, room: null, color: null, token: null, status: 'connecting', seated: false, opponent: false, takeback: null, ...session };
+    me.conn = Online.createConnection(url, {
+      onOpen: () => { me.seated = false; me.conn.send(me.room ? { type: 'join', room: me.room, token: me.token } : hello); },
+      onMessage: msg => { if (online === me) onOnlineMessage(msg); },
+      onStatus: status => { if (online !== me) return; me.status = status; renderOnlineInfo(); }
+    });
+    renderOnlineInfo();
+  }
+
+  function leaveOnline({ quiet = false } = {}) {
+    if (!online) return;
+    online.conn.close();
+    online = null;
+    if (store) try { Saves.saveOnlineSession(store, null); } catch (err) { /* nothing to clean up then */ }
+    renderOnlineInfo(); updateTurnUI();
+    if (!quiet) showToast('Left the online game — the board is all yours again', 2000);
+  }
+
+  function resumeOnlineSession() {
+    const session = store && Saves.loadOnlineSession(store);
+    if (session) connectOnline(session.url, null, session);
+  }
+
+  function onOnlineMessage(msg) {
+    switch (msg.type) {
+      case 'state': onOnlineState(msg); break;
+      case 'move': onOnlineMove(msg); break;
+      case 'opponent':
+        online.opponent = !!msg.connected; renderOnlineInfo();
+        showToast(msg.connected ? 'Opponent connected 🌐' : 'Opponent disconnected', 1800);
+        break;
+      case 'takeback-request': {
+        const accept = window.confirm('Your opponent asks to take back their last move. Allow it?');
+        online.conn.send({ type: 'takeback-reply', accept });
+        break;
       }
+      case 'takeback-result':
+        online.takeback = null;
+        if (!msg.accepted) showToast('Takeback declined', 1500);
+        break;
+      case 'draw-offer':
+        goLive();
+        setDrawOffer(Engine.opposite(online.color));
+        showToast('Your opponent offers a draw 🤝', 2000);
+        break;
+      case 'ending': applyOnlineEnding(msg.ending); break;
+      case 'error':
+        onlineError.textContent = msg.message; showToast(msg.message, 2200);
+        // the room is gone or full: stop knocking
+        if (!online.seated) leaveOnline({ quiet: true });
+        break;
     }
+  }
 
-    // toggle player
-    currentPlayer = currentPlayer === 'white' ? 'black' : 'white';
-    updateTurnUI();
-    evaluateGameState();
+  function onOnlineState(state) {
+    const first = !online.color;
+    Object.assign(online, { room: state.room, color: state.color, token: state.token, seated: true, opponent: !!state.opponentConnected });
+    if (store) try { Saves.saveOnlineSession(store, { url: online.url, room: online.room, token: online.token }); } catch (err) { /* a reload just won't rejoin */ }
+    if (first) {
+      // online games are human against human, without engine help
+      cancelAISearch();
+      if (analysis) toggleAnalysis();
+      aiSides = { white: null, black: null }; syncEnginePicker();
+      closeOnlineDialog();
+      orientCameraFor(online.color);
+      showToast(`Room ${state.room} — you play ${capitalize(state.color)}`, 2500);
+    }
+    resyncOnline(state);
+    renderOnlineInfo();
+  }
 
-    if (useAI && currentPlayer === 'black' && gameState === 'playing') {
-      setTimeout(makeBestAIMove, 220);
+  // makes the local game match the room: keeps the moves both agree on, takes back the rest, replays what's missing
+  function resyncOnline(state) {
+    goLive(); closePromotionPicker(null);
+    clearHighlights(); selectedMesh = null;
+    let common = 0;
+    // rooms play standard chess
+    const restart = startFen !== Engine.toFen(Engine.parseFen(state.startFen)) || variantKey !== Variants.DEFAULT_VARIANT;
+    if (restart) loadPosition(Engine.parseFen(state.startFen), { quiet: true, variant: Variants.DEFAULT_VARIANT });
+    else {
+      const ours = moveHistory.map(h => Notation.toUci(h.move));
+      while (common < ours.length && ours[common] === state.moves[common]) common++;
+    }
+    while (moveHistory.length > common) takeBackMove();
+    for (const uci of state.moves.slice(common)) {
+      const m = Notation.parseUci(game, uci);
+      if (!m) break; // the relay checks every move, so this only happens against a different rule set
+      performMove(m, { quiet: true, fromNetwork: true });
     }
+    // online games are untimed
+    clock = null; renderClocks();
+    applyOnlineEnding(state.ending);
+    updateUI();
+    autosave();
   }
 
-  function findMeshAt(x, z) {
-    for (const ch of piecesGroup.children) if (ch.userData && ch.userData.x === x && ch.userData.z === z) return ch;
-    return null;
+  // the opponent's move goes through the same legality check as a click before it touches the board
+  function onOnlineMove({ uci, ply }) {
+    goLive();
+    const move = ply === moveHistory.length && game.turn !== online.color && Notation.parseUci(game, uci);
+    if (!move || !Engine.isLegalMove(game, move)) { online.conn.send({ type: 'sync' }); return; }
+    performMove(move, { fromNetwork: true });
   }
 
-  // ------- UNDO -------
-  function undoMove() {
-    if (!moveHistory.length) return;
-    const last = moveHistory.pop();
-    const m = last.move, cap = last.captured, mover = last.mover;
+  function applyOnlineEnding(ending) {
+    if (!ending || gameState !== 'playing') return;
+    endGame(ending.reason === 'agreement' ? 'Draw agreed' : `${capitalize(ending.color)} resigns — ${capitalize(Engine.opposite(ending.color))} wins`, ending.result);
+  }
+
+  function requestTakeback() {
+    goLive();
+    if (gameState !== 'playing' || online.takeback || !moveHistory.length) return;
+    if (!online.conn.send({ type: 'takeback-request' })) return;
+    online.takeback = 'sent';
+    showToast('Takeback requested — waiting for your opponent', 1800);
+  }
 
-    // moved piece currently at toX,toZ
-    const moved = boardState[m.toZ][m.toX];
-    // move it back
-    boardState[m.fromZ][m.fromX] = moved;
-    boardState[m.toZ][m.toX] = null;
+  function onlineDrawClick() {
+    if (gameState !== 'playing') return;
+    // the result comes back from the relay as an 'ending' for both players
+    if (drawOffer && drawOffer !== online.color) { online.conn.send({ type: 'draw-accept' }); return; }
+    if (drawOffer || !online.conn.send({ type: 'draw-offer' })) return;
+    setDrawOffer(online.color);
+    showToast('Draw offered 🤝', 1500);
+  }
 
-    if (moved && moved.mesh) {
-      moved.mesh.position.set(m.fromX - 3.5, 0.45, m.fromZ - 3.5);
-      moved.mesh.userData.x = m.fromX; moved.mesh.userData.z = m.fromZ; moved.mesh.userData.type = moved.type;
-    }
+  function renderOnlineInfo() {
+    onlineBox.classList.toggle('hidden', !online);
+    onlineLeaveBtn.classList.toggle('hidden', !online);
+    onlineBtn.textContent = online && online.room ? `Online: ${online.room}` : 'Online';
+    undoBtn.textContent = online ? 'Takeback' : 'Undo';
+    if (!online) return;
+    const link = online.status === 'connected' ? '' : online.status === 'reconnecting' ? ' · reconnecting…' : ' · connecting…';
+    onlineBox.textContent = online.color
+      ? `Room ${online.room} · you play ${capitalize(online.color)} · opponent ${online.opponent ? 'online' : 'away'}${link}`
+      : `Connecting to ${online.url}…`;
+  }
 
-    if (cap) {
-      // respawn captured piece at toX,toZ
-      spawnPiece(cap.type, cap.color, m.toX, m.toZ);
-      // remove last captured from mover
-      if (captured[mover] && captured[mover].length) captured[mover].pop();
-    }
+  // ------- MOVE LIST / HISTORY BROWSING -------
+  function shownPly() { return viewPly === null ? moveHistory.length : viewPly; }
+
+  function renderMoveList() {
+    moveList.innerHTML = '';
+    const current = shownPly();
+    let row = null;
+    moveHistory.forEach((h, i) => {
+      if (!row || h.mover === 'white') {
+        row = document.createElement('li');
+        const num = document.createElement('span'); num.className = 'move-num'; num.textContent = `${moveNumber(i)}.`;
+        row.appendChild(num);
+        if (h.mover === 'black') { const gap = document.createElement('span'); gap.className = 'move'; gap.textContent = '…'; row.appendChild(gap); }
+        moveList.appendChild(row);
+      }
+      const cell = document.createElement('span');
+      cell.className = `move${i + 1 === current ? ' current' : ''}${h.judgement ? ` ${h.judgement}` : ''}`;
+      cell.textContent = h.judgement ? h.san + Analysis.SYMBOLS[h.judgement] : h.san;
+      cell.addEventListener('click', () => goToPly(i + 1));
+      row.appendChild(cell);
+      if (i + 1 === current) cell.scrollIntoView({ block: 'nearest' });
+    });
+  }
 
-    currentPlayer = mover; // restore player who made the previous move's turn? (safe)
+  // full-move number of moveHistory[i]; numbering follows the start position, which may have black to move
+  function moveNumber(i) {
+    const start = Engine.parseFen(startFen);
+    return start.fullmove + Math.floor((i + (start.turn === 'black' ? 1 : 0)) / 2);
+  }
+
+  // shows the board after `target` moves by unmaking/remaking the recorded moves on the live position
+  function goToPly(target) {
+    const live = moveHistory.length;
+    target = Math.max(0, Math.min(live, target));
+    let ply = shownPly();
+    if (target === ply) return;
+    closePromotionPicker(null);
+    clearHighlights(); selectedMesh = null;
+    // browsing rewinds the live position, so a search running on it is void (it restarts on return)
+    cancelAISearch();
+
+    // one step at a time animates; jumps snap
+    const instant = Math.abs(target - ply) > 1;
+    while (ply > target) { const h = moveHistory[--ply]; Engine.unmakeMove(game, h.undo); syncMeshesBack(h.undo, { instant }); }
+    while (ply < target) { const h = moveHistory[ply++]; h.undo = Engine.makeMove(game, h.move); syncMeshesForward(h.undo, { instant }); }
+
+    viewPly = target === live ? null : target;
+    pauseClockWhileBrowsing();
     updateUI();
-    gameState = 'playing';
-    statusBox.textContent = 'Game in Progress';
+    // back live the status comes from the game, not from whatever the box said when browsing began (an AI still thinking)
+    statusBox.textContent = viewPly !== null ? `Viewing move ${target} of ${live} (read-only)` : gameState === 'ended' ? endMessage : 'Game in Progress';
+    if (viewPly === null) maybeAIMove(220);
   }
 
-  // ------- HIGHLIGHTS (minimal) -------
+  function goLive() { goToPly(moveHistory.length); }
+
+  function onNavKey(e) {
+    if (e.target && (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName) || e.target === a11yBoard)) return;
+    const keys = { ArrowLeft: () => goToPly(shownPly() - 1), ArrowRight: () => goToPly(shownPly() + 1), Home: () => goToPly(0), End: goLive };
+    if (!keys[e.key]) return;
+    e.preventDefault();
+    keys[e.key]();
+  }
+
+  // ------- HIGHLIGHTS -------
+  // kinds: 'selected' | 'move' | 'capture' | 'lastMove' | 'hill' | 'check'
+  const OVERLAYS = {
+    selected: { geo: 'tile', mat: 'highlight', y: 0.045 },
+    lastMove: { geo: 'tile', mat: 'lastMove', y: 0.042 },
+    hill: { geo: 'tile', mat: 'hill', y: 0.041 },
+    check: { geo: 'checkGlow', mat: 'check', y: 0.047 },
+    move: { geo: 'moveDot', mat: 'moveDot', y: 0.05 },
+    capture: { geo: 'captureRing', mat: 'capture', y: 0.05 },
+    cursor: { geo: 'cursorFrame', mat: 'cursor', y: 0.052 }
+  };
+
+  function addOverlay(group, kind, x, z) {
+    const o = OVERLAYS[kind];
+    const mesh = new THREE.Mesh(resources.geos[o.geo], resources.mats[o.mat]);
+    mesh.rotation.x = -Math.PI / 2;
+    mesh.position.set(x - 3.5, o.y, z - 3.5);
+    mesh.raycast = () => {}; // never steal clicks from the squares underneath
+    group.add(mesh);
+  }
+
+  // marks the selected piece's square and every legal destination (rings for captures)
   function highlightLegalMoves(mesh) {
+    clearHighlights();
     if (!mesh) return;
-    mesh.scale.set(1.08, 1.08, 1.08);
-    setTimeout(()=>{ mesh.scale.set(1,1,1); }, 350);
+    const { x, z } = mesh.userData;
+    addOverlay(markerGroup, 'selected', x, z);
+    Engine.legalMovesFrom(game, x, z).forEach(m => {
+      // promotions come as four moves to the same square
+      if (m.promotion && m.promotion !== 'queen') return;
+      // a Chess960 castle points at the king's own rook: that's a move, not a capture
+      addOverlay(markerGroup, !m.castle && (game.board[m.toZ][m.toX] || m.enPassant) ? 'capture' : 'move', m.toX, m.toZ);
+    });
+  }
+
+  function clearHighlights() { if (markerGroup) markerGroup.clear(); }
+
+  // last move's from/to squares and a glow under a checked king, for the position being shown
+  // (plus the hill in King of the Hill)
+  function updateBoardIndicators() {
+    indicatorGroup.clear();
+    (Variants.get(variantKey).hill || []).forEach(([x, z]) => addOverlay(indicatorGroup, 'hill', x, z));
+    const last = moveHistory[shownPly() - 1];
+    if (last) {
+      addOverlay(indicatorGroup, 'lastMove', last.move.fromX, last.move.fromZ);
+      addOverlay(indicatorGroup, 'lastMove', last.move.toX, last.move.toZ);
+    }
+    const king = Engine.findKing(game.board, game.turn);
+    if (king && Engine.isKingInCheck(game.board, game.turn)) addOverlay(indicatorGroup, 'check', king.x, king.z);
   }
-  function clearHighlights() { /* no-op for now */ }
 
   // ------- UI updates -------
-  function updateTurnUI() { turnBox.textContent = `${capitalize(currentPlayer)}'s Turn`; }
+  function updateTurnUI() {
+    turnBox.textContent = `${capitalize(game.turn)}'s Turn`;
+    // online the offer is always to this player, whoever is to move
+    const offeredTo = online ? online.color : game.turn;
+    drawBtn.textContent = drawOffer && drawOffer !== offeredTo ? 'Accept Draw' : 'Offer Draw';
+  }
+  // captures come straight from moveHistory, up to the move being shown
+  function capturedUpTo(ply) {
+    const lists = { white: [], black: [] };
+    moveHistory.slice(0, ply).forEach(h => { if (h.undo.captured) lists[h.mover].push(h.undo.captured.type); });
+    return lists;
+  }
+
   function updateCapturedUI() {
+    const captured = capturedUpTo(shownPly());
     wCaptured.innerHTML = ''; bCaptured.innerHTML = '';
     captured.white.forEach(t => { const d = document.createElement('div'); d.className = 'cap-piece'; d.textContent = SYMBOLS.black[t]; wCaptured.appendChild(d); });
     captured.black.forEach(t => { const d = document.createElement('div'); d.className = 'cap-piece'; d.textContent = SYMBOLS.white[t]; bCaptured.appendChild(d); });
   }
-  function updateUI() { updateTurnUI(); updateCapturedUI(); }
+  function updateUI() { updateTurnUI(); updateCapturedUI(); renderMoveList(); updateBoardIndicators(); renderClocks(); renderVariantInfo(); renderOpening(); renderAccessibleBoard(); analysePosition(); }
   function capitalize(s) { return s.charAt(0).toUpperCase() + s.slice(1); }
 
+  // ------- OPENING (book.js) -------
+  // ECO code and name of the shown position; once out of book the last named position keeps its name
+  function renderOpening() {
+    const opening = Book.openingAt(positionKeys().slice(0, shownPly() + 1));
+    openingBox.textContent = opening ? `${opening.eco} · ${opening.name}` : '';
+    openingBox.classList.toggle('hidden', !opening);
+  }
+
+  // ------- VARIANTS (variants.js) -------
+  // a new variant takes over at once on an untouched board, otherwise with the next game (like the time control)
+  function onVariantChange() {
+    // a position being set up is played under the picked variant once it's done
+    if (!moveHistory.length && !online && !editor) resetGame();
+    else { showToast(`${Variants.get(variantSelect.value).label} starts with the next game`, 1800); renderVariantInfo(); }
+  }
+
+  // the rules reminder under the picker; Three-Check counts the checks given so far in the shown position
+  function renderVariantInfo() {
+    const hints = {
+      chess960: 'Castle by moving the king onto its rook',
+      kingOfTheHill: 'A king on d4, e4, d5 or e5 wins',
+      threeCheck: game.variantState && `Checks given — White ${game.variantState.white}, Black ${game.variantState.black} (3 wins)`
+    };
+    variantInfo.textContent = (variantSelect.value === variantKey && hints[variantKey]) || '';
+  }
+
+  // ------- CLOCKS -------
+  function readTimeControl() {
+    const value = timeControlSelect.value;
+    if (value in Clock.PRESETS) return Clock.PRESETS[value];
+    if (value !== 'custom') return null;
+    const num = (id, min, max, fallback) => { const n = Number(document.getElementById(id).value); return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback; };
+    return { baseMs: num('customBase', 1, 180, 5) * 60000, incrementMs: num('customInc', 0, 60, 0) * 1000, mode: document.getElementById('customMode').value === 'delay' ? 'delay' : 'increment' };
+  }
+
+  // fills the time control picker from a saved setting (null = no clock)
+  function setTimeControlInputs(saved) {
+    timeControlSelect.value = saved ? saved.key : 'none';
+    if (saved && saved.key === 'custom') {
+      document.getElementById('customBase').value = saved.baseMs / 60000;
+      document.getElementById('customInc').value = saved.incrementMs / 1000;
+      document.getElementById('customMode').value = saved.mode;
+    }
+    customTime.classList.toggle('hidden', timeControlSelect.value !== 'custom');
+    timeControl = readTimeControl();
+  }
+
+  function onTimeControlChange() {
+    customTime.classList.toggle('hidden', timeControlSelect.value !== 'custom');
+    timeControl = readTimeControl();
+    // changing mid-game would make someone's time jump, so it waits for the next game
+    if (!moveHistory.length && !online) resetClock(); else showToast('New time control starts with the next game', 1800);
+    autosave();
+  }
+
+  // clocks start on the first move, not while the first player is still looking at the board
+  function resetClock() {
+    clock = timeControl ? Clock.createClock(timeControl) : null;
+    clockResume = null;
+    renderClocks();
+  }
+
+  // undo puts both clocks back to where they stood before the undone move; they stay paused until the next move
+  function rewindClock() {
+    if (!clock) return;
+    const prev = moveHistory.length && moveHistory[moveHistory.length - 1].clock;
+    clock.remaining = prev ? { ...prev } : { white: clock.control.baseMs, black: clock.control.baseMs };
+    clock.running = null; clockResume = null;
+    renderClocks();
+  }
+
+  function pauseClockWhileBrowsing() {
+    if (!clock) return;
+    const now = performance.now();
+    if (viewPly !== null && clock.running) { clockResume = clock.running; Clock.stop(clock, now); }
+    else if (viewPly === null && clockResume) { if (gameState === 'playing') Clock.start(clock, clockResume, now); clockResume = null; }
+    renderClocks();
+  }
+
+  function renderClocks() {
+    clocksBox.classList.toggle('hidden', !clock);
+    if (!clock) return;
+    const now = performance.now();
+    ['white', 'black'].forEach(color => {
+      const el = clockEls[color], left = Clock.timeLeft(clock, color, now);
+      el.textContent = Clock.formatTime(left);
+      el.classList.toggle('active', clock.running === color || clockResume === color);
+      el.classList.toggle('low', left < 10000);
+    });
+  }
+
+  function tickClocks() {
+    if (!clock) return;
+    renderClocks();
+    const flag = gameState === 'playing' && Clock.flagged(clock, performance.now());
+    if (flag) onFlagFall(flag);
+  }
+
+  // timeout loses, unless the opponent has nothing left that could ever mate
+  function onFlagFall(color) {
+    const winner = Engine.opposite(color);
+    if (Engine.lacksWinningMaterial(game, winner)) endGame(`${capitalize(color)} ran out of time — draw (${capitalize(winner)} cannot mate)`, '1/2-1/2');
+    else endGame(`${capitalize(color)} ran out of time — ${capitalize(winner)} wins`, winner === 'white' ? '1-0' : '0-1');
+  }
+
   // ------- GAME STATE EVAL -------
+  const END_MESSAGES = {
+    stalemate: 'Stalemate',
+    insufficient: 'Draw: insufficient material',
+    'fifty-move': 'Draw by fifty-move rule',
+    repetition: 'Draw by threefold repetition'
+  };
+
+  function positionKeys() { return [startKey, ...moveHistory.map(h => h.key)]; }
+
   function evaluateGameState() {
-    const opponent = currentPlayer;
-    const legal = allLegalMovesFor(opponent);
-    const inCheck = isKingInCheck(boardState, opponent);
-    if (legal.length === 0) {
-      gameState = 'ended';
-      statusBox.textContent = inCheck ? `${capitalize(opponent)} is checkmated!` : 'Stalemate';
-      // show toast
-      setTimeout(()=> showToast(statusBox.textContent, 2200), 100);
+    const status = Engine.gameStatus(game, positionKeys());
+    if (status.state === 'checkmate') {
+      endGame(`${capitalize(game.turn)} is checkmated!`, status.winner === 'white' ? '1-0' : '0-1');
+    } else if (status.state === 'variant') {
+      endGame(`${status.message}!`, status.winner === 'white' ? '1-0' : status.winner === 'black' ? '0-1' : '1/2-1/2');
+    } else if (status.state !== 'playing') {
+      endGame(END_MESSAGES[status.state], '1/2-1/2');
     } else {
       statusBox.textContent = 'Game in Progress';
     }
   }
 
-  // ------- MOVE GENERATION (same) -------
-  function allLegalMovesFor(player) {
-    const moves = [];
-    for (let z = 0; z < 8; z++) for (let x = 0; x < 8; x++) {
-      const p = boardState[z][x]; if (!p || p.color !== player) continue;
-      const pseudo = generatePseudoMoves(x, z, boardState);
-      for (const mv of pseudo) {
-        const m = { fromX: x, fromZ: z, toX: mv.toX, toZ: mv.toZ };
-        if (isLegalMove(m, player)) moves.push(m);
-      }
+  // result is the PGN result string for the export
+  function endGame(message, result) {
+    gameState = 'ended'; gameResult = result; endMessage = message;
+    cancelAISearch();
+    if (clock) { Clock.stop(clock, performance.now()); renderClocks(); }
+    autosave();
+    setDrawOffer(null);
+    statusBox.textContent = message;
+    // show toast
+    setTimeout(()=> showToast(message, 2200), 100);
+  }
+
+  // ------- DRAW OFFERS / RESIGN -------
+  function setDrawOffer(color) {
+    drawOffer = color;
+    updateTurnUI();
+  }
+
+  function onDrawClick() {
+    goLive();
+    if (online) { onlineDrawClick(); return; }
+    // nobody can offer or accept on the engine's behalf while it is to move
+    if (gameState !== 'playing' || isAITurn()) return;
+    if (drawOffer && drawOffer !== game.turn) { endGame('Draw agreed', '1/2-1/2'); return; }
+    if (drawOffer) return; // already offered, waiting for the opponent
+    setDrawOffer(game.turn);
+    showToast(`${capitalize(game.turn)} offers a draw 🤝`, 1800);
+    // the AI takes the draw only when it is behind on material
+    const ai = Engine.opposite(game.turn);
+    if (aiSides[ai]) {
+      if ((ai === 'black' ? 1 : -1) * Engine.evaluateMaterial(game.board) > 0) setTimeout(() => endGame('Draw agreed', '1/2-1/2'), 400);
+      else { setDrawOffer(null); setTimeout(() => showToast('AI declines the draw', 1500), 400); }
+    }
+  }
+
+  function resign() {
+    goLive();
+    if (gameState !== 'playing' || isAIvsAI()) return;
+    // against the engine (or online) it is always the human here who resigns
+    const loser = online ? online.color : aiSides.white ? 'black' : aiSides.black ? 'white' : game.turn;
+    if (!window.confirm(`${capitalize(loser)} resigns?`)) return;
+    if (online) online.conn.send({ type: 'resign' });
+    endGame(`${capitalize(loser)} resigns — ${capitalize(Engine.opposite(loser))} wins`, loser === 'white' ? '0-1' : '1-0');
+  }
+
+  // ------- AI: the chosen engine (engines.js) — built-in search in a worker, or a UCI engine -------
+  function createEngine(kind) { return kind === 'uci' ? Engines.createUciEngine(uciConfig) : Engines.createBuiltinEngine(); }
+
+  function getEngine(kind = engineKind) {
+    if (!engines[kind]) engines[kind] = createEngine(kind);
+    return engines[kind];
+  }
+
+  // what an engine needs to search the position after `ply` moves of the game (or of a snapshot of its history)
+  function searchRequest(ply, depth, timeMs, history = moveHistory) {
+    const played = history.slice(0, ply).map(h => h.move);
+    const pos = positionFromFen(startFen);
+    played.forEach(m => Engine.makeMove(pos, m));
+    // UCI engines get the game from its start; history lets the built-in search see repetition draws
+    const moves = played.map(m => Notation.toUci(m, { chess960: variantKey === 'chess960' }));
+    return {
+      startFen, moves, fen: Engine.toFen(pos), variant: variantKey, variantState: pos.variantState,
+      history: AI.historyKeys(positionFromFen(startFen), played), depth, timeMs
+    };
+  }
+
+  // switching UCI address drops the old connection; the next search opens the new one
+  function setEngine(kind, uci) {
+    if (uci.transport !== uciConfig.transport || uci.url !== uciConfig.url) {
+      if (engines.uci) { engines.uci.dispose(); delete engines.uci; }
+      uciConfig = uci;
+      if (analysis && analysis.kind === 'uci') analysis.kind = null;
     }
-    return moves;
+    engineKind = kind;
+    // analysis follows the engine choice
+    if (analysis && analysis.kind !== kind) restartAnalysis();
+  }
+
+  function readUciConfig(uci) {
+    if (!uci || typeof uci.url !== 'string' || !uci.url.trim()) return null;
+    return { transport: uci.transport === 'worker' ? 'worker' : 'websocket', url: uci.url.trim() };
   }
 
-  // ------- AI: naive depth-2 search (same) -------
   function makeBestAIMove() {
-    const moves = allLegalMovesFor('black'); if (!moves.length) return;
-    let best = null; let bestScore = Infinity;
-    moves.forEach(m => {
-      const clone = cloneBoard(boardState); applyMoveOnClone(clone, m);
-      const oppMoves = [];
-      for (let z = 0; z < 8; z++) for (let x = 0; x < 8; x++) if (clone[z][x] && clone[z][x].color === 'white') {
-        generatePseudoMoves(x, z, clone).forEach(pm => { const cand = { fromX: x, fromZ: z, toX: pm.toX, toZ: pm.toZ }; if (isLegalMove(cand, 'white')) oppMoves.push(cand); });
-      }
-      let worst = -Infinity;
-      if (!oppMoves.length) worst = evaluateMaterial(clone);
-      else oppMoves.forEach(om => { const c2 = cloneBoard(clone); applyMoveOnClone(c2, om); worst = Math.max(worst, evaluateMaterial(c2)); });
-      if (worst < bestScore) { bestScore = worst; best = m; }
+    // the reply may have been scheduled before an undo, a new game or history browsing
+    if (!isAITurn() || gameState !== 'playing' || viewPly !== null || aiRequest) return;
+    // still in book: play a book move instead of searching (standard rules only, the book knows nothing of the others)
+    const bookMove = !game.variant && Book.pickBookMove(game);
+    if (bookMove) { performMove(bookMove); return; }
+    // on the clock, think no longer than the remaining time allows
+    const level = AI.LEVELS[aiSides[game.turn]];
+    const timeMs = clock ? Math.min(level.timeMs, Clock.moveBudget(clock, game.turn, performance.now())) : level.timeMs;
+    const request = searchRequest(moveHistory.length, level.depth, timeMs);
+    const search = aiRequest = { engine: getEngine(), request };
+    setThinking(true);
+    search.engine.go(request, result => onAIResult(search, result));
+  }
+
+  function onAIResult(search, result) {
+    // stale: undo, new game, browsing or AI off since this search was asked for
+    if (search !== aiRequest) return;
+    aiRequest = null;
+    setThinking(false);
+    // an outside engine's word isn't trusted blindly
+    const move = !result.error && result.move && Notation.parseUci(game, result.move);
+    if (move) { performMove(move); return; }
+    const problem = result.error || (result.move ? `${search.engine.name} sent an illegal move: ${result.move}` : `${search.engine.name} sent no move`);
+    // a UCI engine that fails doesn't stall the game: the built-in search plays this move instead
+    if (search.engine !== getEngine('builtin')) {
+      showToast(`${problem} — the built-in AI plays this move`, 3000);
+      const retry = aiRequest = { engine: getEngine('builtin'), request: search.request };
+      setThinking(true);
+      retry.engine.go(retry.request, r => onAIResult(retry, r));
+      return;
+    }
+    // nothing else to ask: the side goes back to the player at the board
+    aiSides[game.turn] = null;
+    syncEnginePicker();
+    autosave();
+    showToast(`AI error: ${problem} — ${capitalize(game.turn)} is yours to play`, 3000);
+  }
+
+  function cancelAISearch() {
+    if (!aiRequest) return;
+    aiRequest.engine.stop();
+    aiRequest = null;
+    setThinking(false);
+  }
+
+  function setThinking(on) {
+    statusBox.classList.toggle('thinking', on);
+    statusBox.textContent = on ? `${capitalize(game.turn)} (AI) is thinking…` : 'Game in Progress';
+  }
+
+  // ------- ANALYSIS (analysis.js): eval bar, best-line arrows, game review -------
+  const ANALYSIS_STEPS_MS = [300, 1500, 6000]; // each finished search is followed by a longer one on the same position
+  const REVIEW_MS = 400; // per position in a game review
+  const JUDGEMENT_LABELS = { inaccuracy: 'Inaccuracy', mistake: 'Mistake', blunder: 'Blunder' };
+
+  // analysis gets its own engine so it never waits for (or cancels) the AI's moves
+  function toggleAnalysis() {
+    if (analysis) {
+      analysis.engine.dispose();
+      analysis = null;
+      arrowGroup.clear();
+      moveHistory.forEach(h => { h.judgement = null; });
+      renderMoveList();
+      [analysisBox, evalBar].forEach(el => el.classList.add('hidden'));
+      analysisBtn.classList.remove('active');
+      return;
+    }
+    if (blockedOnline()) return;
+    analysis = { engine: createEngine(engineKind), kind: engineKind, key: null, step: 0, search: null, review: null, reviewed: null };
+    [analysisBox, evalBar].forEach(el => el.classList.remove('hidden'));
+    analysisBtn.classList.add('active');
+    reviewStatus.textContent = ''; reviewList.innerHTML = '';
+    analysePosition();
+  }
+
+  function restartAnalysis() {
+    analysis.engine.dispose();
+    Object.assign(analysis, { engine: createEngine(engineKind), kind: engineKind, key: null, search: null, review: null });
+    reviewBtn.disabled = false; reviewStatus.textContent = '';
+    analysePosition();
+  }
+
+  // called with every UI update: starts over whenever the shown position changed (moves, undo, browsing)
+  function analysePosition() {
+    // a position being set up may not even have its kings yet
+    if (!analysis || editor) return;
+    if (analysis.reviewed && analysis.reviewed.some((h, i) => moveHistory[i] !== h)) { analysis.reviewed = null; reviewList.innerHTML = ''; reviewStatus.textContent = ''; }
+    // a running review has the engine
+    if (analysis.review) return;
+    const key = Engine.toFen(game);
+    if (key === analysis.key) return;
+    analysis.key = key; analysis.step = 0;
+    analysis.engine.stop(); analysis.search = null;
+    const over = Analysis.fromStatus(Engine.gameStatus(game));
+    if (over) { showEvaluation(over, []); return; }
+    // material is instant; the search refines it
+    showEvaluation({ cp: Engine.evaluateMaterial(game.board) }, []);
+    runAnalysisStep();
+  }
+
+  function runAnalysisStep() {
+    const turn = game.turn;
+    const search = analysis.search = searchRequest(shownPly(), AI.LEVELS.expert.depth, ANALYSIS_STEPS_MS[analysis.step]);
+    analysis.engine.go(search, result => {
+      if (!analysis || analysis.search !== search) return;
+      analysis.search = null;
+      if (result.error) { analysisLine.textContent = `Analysis stopped: ${result.error}`; return; }
+      const ev = Analysis.fromResult(result, turn);
+      if (ev) showEvaluation(ev, result.pv);
+      if (++analysis.step < ANALYSIS_STEPS_MS.length) runAnalysisStep();
     });
-    if (best) {
-      performMove(best);
+  }
+
+  function showEvaluation(ev, pv) {
+    evalFill.style.height = `${(Analysis.barFraction(ev) * 100).toFixed(1)}%`;
+    evalText.textContent = Analysis.formatEval(ev);
+    const line = lineMoves(game, pv, 6);
+    analysisLine.textContent = line.length ? `${Analysis.formatEval(ev)}  ${line.map(m => m.san).join(' ')}` : Analysis.formatEval(ev);
+    arrowGroup.clear();
+    line.slice(0, resources.mats.arrows.length).forEach((m, i) => addArrow(m.move, resources.mats.arrows[i]));
+  }
+
+  // the first `limit` moves of a UCI line that are legal from `pos`, with their SAN
+  function lineMoves(pos, pv, limit) {
+    const scratch = Engine.clonePosition(pos), line = [];
+    for (const text of (pv || []).slice(0, limit)) {
+      const move = Notation.parseUci(scratch, text);
+      if (!move) break;
+      line.push({ move, san: Notation.toSan(scratch, move) });
+      Engine.makeMove(scratch, move);
     }
+    return line;
   }
 
-  function evaluateMaterial(bs) {
-    let score = 0;
-    for (let z = 0; z < 8; z++) for (let x = 0; x < 8; x++) { const p = bs[z][x]; if (p) score += (p.color === 'white' ? 1 : -1) * (PIECE_VALUES[p.type] || 0); }
-    return score;
-  }
-
-  // ------- UTIL (same) -------
-  function generatePseudoMoves(x, z, bs) {
-    const p = bs[z][x]; if (!p) return [];
-    const moves = []; const t = p.type; const color = p.color; const dir = color === 'white' ? -1 : 1;
-    if (t === 'pawn') {
-      if (isInside(x, z + dir) && !bs[z + dir][x]) moves.push({ toX: x, toZ: z + dir });
-      const start = (color === 'white' ? 6 : 1);
-      if (z === start && !bs[z + dir][x] && !bs[z + 2 * dir][x]) moves.push({ toX: x, toZ: z + 2 * dir });
-      [[x - 1, z + dir], [x + 1, z + dir]].forEach(([nx, nz]) => { if (isInside(nx, nz) && bs[nz][nx] && bs[nz][nx].color !== color) moves.push({ toX: nx, toZ: nz }); });
-    } else if (t === 'knight') {
-      const d = [[1, 2], [2, 1], [-1, 2], [-2, 1], [1, -2], [2, -1], [-1, -2], [-2, -1]];
-      d.forEach(([dx, dz]) => { const nx = x + dx, nz = z + dz; if (isInside(nx, nz) && (!bs[nz][nx] || bs[nz][nx].color !== color)) moves.push({ toX: nx, toZ: nz }); });
-    } else if (t === 'rook' || t === 'bishop' || t === 'queen') {
-      const dirs = (t === 'rook') ? [[1, 0], [-1, 0], [0, 1], [0, -1]] : (t === 'bishop') ? [[1, 1], [1, -1], [-1, 1], [-1, -1]] : [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [1, -1], [-1, 1], [-1, -1]];
-      dirs.forEach(([dx, dz]) => { let nx = x + dx, nz = z + dz; while (isInside(nx, nz)) { if (!bs[nz][nx]) moves.push({ toX: nx, toZ: nz }); else { if (bs[nz][nx].color !== color) moves.push({ toX: nx, toZ: nz }); break; } nx += dx; nz += dz; } });
-    } else if (t === 'king') {
-      for (let dx = -1; dx <= 1; dx++) for (let dz = -1; dz <= 1; dz++) { if (dx === 0 && dz === 0) continue; const nx = x + dx, nz = z + dz; if (isInside(nx, nz) && (!bs[nz][nx] || bs[nz][nx].color !== color)) moves.push({ toX: nx, toZ: nz }); }
+  // an arrow floating above the pieces, from the move's square to its target
+  function addArrow({ fromX, fromZ, toX, toZ }, mat) {
+    const dx = toX - fromX, dz = toZ - fromZ, length = Math.hypot(dx, dz);
+    const arrow = new THREE.Group();
+    // both parts point along +x, then the whole arrow turns toward the target
+    const shaft = new THREE.Mesh(resources.geos.arrowShaft, mat);
+    shaft.scale.y = length - ARROW_HEAD; shaft.rotation.z = -Math.PI / 2; shaft.position.x = (length - ARROW_HEAD) / 2;
+    const head = new THREE.Mesh(resources.geos.arrowHead, mat);
+    head.rotation.z = -Math.PI / 2; head.position.x = length - ARROW_HEAD / 2;
+    [shaft, head].forEach(m => { m.raycast = () => {}; arrow.add(m); });
+    arrow.position.set(fromX - 3.5, 1.15, fromZ - 3.5);
+    arrow.rotation.y = Math.atan2(-dz, dx);
+    arrowGroup.add(arrow);
+  }
+
+  // evaluates every position of the game in turn, then grades each move by how much it threw away
+  function startReview() {
+    if (!analysis || analysis.review) return;
+    if (!moveHistory.length) { reviewStatus.textContent = 'No moves to review yet'; return; }
+    analysis.engine.stop(); analysis.search = null;
+    analysis.review = { history: moveHistory.slice(), evals: [], best: [], ply: 0 };
+    reviewBtn.disabled = true; reviewList.innerHTML = '';
+    reviewNext(analysis.review);
+  }
+
+  function reviewNext(review) {
+    if (!analysis || analysis.review !== review) return;
+    const ply = review.ply;
+    if (ply > review.history.length) { finishReview(review); return; }
+    reviewStatus.textContent = `Reviewing… ${ply} / ${review.history.length}`;
+    // the game may have moved on meanwhile: positions come from the snapshot
+    const pos = positionFromFen(startFen);
+    review.history.slice(0, ply).forEach(h => Engine.makeMove(pos, h.move));
+    const over = Analysis.fromStatus(Engine.gameStatus(pos));
+    if (over) { review.evals[ply] = over; review.ply++; reviewNext(review); return; }
+    analysis.engine.go(searchRequest(ply, AI.LEVELS.expert.depth, REVIEW_MS, review.history), result => {
+      if (!analysis || analysis.review !== review) return;
+      if (result.error) { analysis.review = null; reviewBtn.disabled = false; reviewStatus.textContent = `Review stopped: ${result.error}`; return; }
+      review.evals[ply] = Analysis.fromResult(result, pos.turn);
+      review.best[ply] = result.move;
+      review.ply++;
+      reviewNext(review);
+    });
+  }
+
+  function finishReview(review) {
+    const { moves, counts } = Analysis.reviewGame(review.evals, review.history.map(h => h.mover));
+    review.history.forEach(h => { h.judgement = null; });
+    reviewList.innerHTML = '';
+    const start = positionFromFen(startFen);
+    moves.forEach(m => {
+      const h = review.history[m.ply - 1];
+      h.judgement = m.kind;
+      // the engine's choice, in SAN from the position before the move
+      const pos = Engine.clonePosition(start);
+      review.history.slice(0, m.ply - 1).forEach(prev => Engine.makeMove(pos, prev.move));
+      const best = lineMoves(pos, [review.best[m.ply - 1]], 1)[0];
+      const li = document.createElement('li');
+      li.className = `review-item ${m.kind}`;
+      li.textContent = `${moveNumber(m.ply - 1)}${h.mover === 'white' ? '.' : '…'} ${h.san}${Analysis.SYMBOLS[m.kind]} ${JUDGEMENT_LABELS[m.kind]} (${Analysis.formatEval(m.before)} → ${Analysis.formatEval(m.after)})${best && best.san !== h.san ? ` · best ${best.san}` : ''}`;
+      li.addEventListener('click', () => goToPly(m.ply));
+      reviewList.appendChild(li);
+    });
+    const tally = c => `${capitalize(c)}: ${counts[c].inaccuracy} ?!, ${counts[c].mistake} ?, ${counts[c].blunder} ??`;
+    reviewStatus.textContent = moves.length ? `${tally('white')} · ${tally('black')}` : 'No inaccuracies, mistakes or blunders found';
+    Object.assign(analysis, { review: null, reviewed: review.history, key: null });
+    reviewBtn.disabled = false;
+    renderMoveList();
+    analysePosition();
+  }
+
+  // ------- ENGINE PICKER / AI SETTINGS DIALOG -------
+  function aiSideValue() { return isAIvsAI() ? 'both' : aiSides.white ? 'white' : aiSides.black ? 'black' : 'none'; }
+
+  // the header picker shows the opponent: nobody, or which engine plays the AI side(s)
+  function syncEnginePicker() { enginePicker.value = aiSideValue() === 'none' ? 'none' : engineKind; }
+
+  function onEnginePicked() {
+    const choice = enginePicker.value;
+    syncEnginePicker(); // nothing changes until the settings are applied
+    if (choice === 'settings') { openAIDialog(); return; }
+    fillAIDialog();
+    if (choice === 'none') aiSideSelect.value = 'none';
+    else {
+      aiEngineSelect.value = choice;
+      if (aiSideSelect.value === 'none') aiSideSelect.value = 'black';
     }
-    return moves;
+    renderUciFields();
+    // a UCI engine needs its address checked first
+    if (choice === 'uci') aiOverlay.classList.remove('hidden');
+    else applyAISettings();
+  }
+
+  function fillAIDialog() {
+    aiSideSelect.value = aiSideValue();
+    ['white', 'black'].forEach(c => { if (aiSides[c]) aiLevelSelects[c].value = aiSides[c]; });
+    aiDelaySelect.value = String(aiDelay);
+    aiEngineSelect.value = engineKind;
+    uciTransportSelect.value = uciConfig.transport;
+    uciUrlInput.value = uciConfig.url;
+    renderUciFields();
+  }
+
+  function renderUciFields() { uciTransportSelect.disabled = uciUrlInput.disabled = aiEngineSelect.value !== 'uci'; }
+
+  function openAIDialog() {
+    fillAIDialog();
+    aiOverlay.classList.remove('hidden');
+  }
+
+  function closeAIDialog() { aiOverlay.classList.add('hidden'); }
+
+  function applyAISettings() {
+    if (blockedOnline()) return;
+    // a search in flight was asked for with the old settings
+    cancelAISearch();
+    const side = aiSideSelect.value;
+    const level = c => aiLevelSelects[c].value in AI.LEVELS ? aiLevelSelects[c].value : 'medium';
+    aiSides = {
+      white: side === 'white' || side === 'both' ? level('white') : null,
+      black: side === 'black' || side === 'both' ? level('black') : null
+    };
+    aiDelay = Number(aiDelaySelect.value) || 1000;
+    setEngine(aiEngineSelect.value === 'uci' ? 'uci' : 'builtin', readUciConfig({ transport: uciTransportSelect.value, url: uciUrlInput.value }) || uciConfig);
+    syncEnginePicker();
+    autosave();
+    closeAIDialog();
+    orientCameraForPlayers();
+    maybeAIMove(250);
+  }
+
+  // the human's pieces go to the bottom of the screen; engine-vs-engine gets a slow 3D spin for demo screens
+  function orientCameraForPlayers() {
+    if (isAIvsAI()) { setNeutral3DTarget(); autoRotate = true; return; }
+    orientCameraFor(aiSides.white ? 'black' : 'white');
+  }
+
+  function orientCameraFor(human) {
+    autoRotate = false; spinBtn.classList.remove('active');
+    if (!is3D) setTopCameraTarget(human);
+    else if (human === 'white') setWhiteFrontTarget();
+    else setBlackFrontTarget();
   }
 
   // ------- Camera view helpers & canvas controls -------
-  function setTopCameraTarget() {
-    // top-down slightly offset to avoid exact vertical look vector
-    cameraTarget.set(0, 30, 0.001);
+  function setTopCameraTarget(side = 'white') {
+    // top-down slightly offset to avoid exact vertical look vector; the offset's sign picks which side is at the bottom
+    cameraTarget.set(0, 30, side === 'black' ? -0.001 : 0.001);
     cameraLookTarget.set(0, 0, 0);
-    orientationIndex = 0; is3D = false; autoRotate = false;
+    orientationIndex = 0; is3D = false; autoRotate = false; spinBtn.classList.remove('active');
   }
   function setNeutral3DTarget() {
     cameraTarget.set(8, 12, 8);
@@ -509,12 +2040,12 @@
   function setWhiteFrontTarget() {
     cameraTarget.set(0, 10, 12);
     cameraLookTarget.set(0, 0, 0);
-    orientationIndex = 1;
+    orientationIndex = 1; is3D = true;
   }
   function setBlackFrontTarget() {
     cameraTarget.set(0, 10, -12);
     cameraLookTarget.set(0, 0, 0);
-    orientationIndex = 2;
+    orientationIndex = 2; is3D = true;
   }
 
   function onCanvasDblClick(e) {
@@ -522,28 +2053,21 @@
     if (!is3D) {
       setNeutral3DTarget();
       showToast('3D view enabled');
-    } else {
-      autoRotate = !autoRotate;
-      showToast(autoRotate ? 'Auto-rotate enabled 🔄' : 'Auto-rotate stopped ⏹️');
-    }
+    } else toggleAutoRotate();
+  }
+
+  function toggleAutoRotate() {
+    if (!is3D) setNeutral3DTarget();
+    autoRotate = !autoRotate;
+    spinBtn.classList.toggle('active', autoRotate);
+    showToast(autoRotate ? 'Auto-rotate enabled 🔄' : 'Auto-rotate stopped ⏹️');
   }
 
   function onCanvasClick(e) {
+    // a drag ends in a click too; that one was camera work
+    if (suppressClick) { suppressClick = false; return; }
     // only cycle orientation while in 3D, and only if click was on empty area (not on piece/square)
-    if (!is3D) return;
-
-    const rect = renderer.domElement.getBoundingClientRect();
-    const mouse = new THREE.Vector2(((e.clientX - rect.left) / rect.width) * 2 - 1, -((e.clientY - rect.top) / rect.height) * 2 + 1);
-    raycaster.setFromCamera(mouse, camera);
-    const hits = raycaster.intersectObjects([...piecesGroup.children, ...boardGroup.children], true);
-
-    // if clicked on a board object or piece, ignore orientation cycling
-    if (hits.length) {
-      const hit = hits[0].object;
-      if (hit.userData && (hit.userData.type === 'square' || hit.userData.color)) {
-        return;
-      }
-    }
+    if (!is3D || pickObject(e)) return;
 
     // cycle orientations neutral -> white -> black -> neutral
     orientationIndex = (orientationIndex + 1) % 3;
@@ -555,6 +2079,184 @@
     showToast(label);
   }
 
+  // ------- CAMERA CONTROLS -------
+  // drag empty space to orbit, right- or shift-drag to pan, wheel to zoom; on touch one finger orbits, two pinch and pan
+  // presses on a piece or square stay moves. Everything moves cameraTarget / cameraLookTarget and animate() eases after them
+  const MIN_DISTANCE = 5, MAX_DISTANCE = 45;
+  const MIN_POLAR = 0.001, MAX_POLAR = 1.35; // rad from straight overhead; past MAX_POLAR the camera sinks toward the floor
+  const PAN_LIMIT = 6; // how far the look target may wander from the board centre
+  const ORBIT_SPEED = 0.006; // rad per pixel
+  const AUTO_ROTATE_SPEED = 0.005; // rad per frame
+  const DRAG_SLOP = 4; // px a press may wobble and still be a click
+  const pointers = new Map(); // pointerId -> last { x, y } on the canvas
+  let drag = null; // { mode: 'orbit' | 'pan' | 'pinch', x, y, moved }
+  let pinchSpread = 0;
+  let suppressClick = false;
+  const orbitOffset = new THREE.Vector3();
+  const orbitSpherical = new THREE.Spherical();
+  const panStart = new THREE.Vector3();
+
+  function onPointerDown(e) {
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (renderer.domElement.setPointerCapture && e.pointerId !== undefined) renderer.domElement.setPointerCapture(e.pointerId);
+    if (pointers.size === 2) { drag = { mode: 'pinch', moved: true }; pinchSpread = pointerSpread(); return; }
+    if (pointers.size > 2) return;
+    suppressClick = false;
+    const pan = e.button === 1 || e.button === 2 || e.shiftKey;
+    const hit = !pan && pickObject(e);
+    if (hit) { drag = null; if (editor) editorPointerDown(hit); else onBoardPress(hit); return; }
+    drag = { mode: pan ? 'pan' : 'orbit', x: e.clientX, y: e.clientY, moved: false };
+  }
+
+  function onPointerMove(e) {
+    if (editor && editor.dragFrom) { dragEditorPiece(e); return; }
+    const last = pointers.get(e.pointerId);
+    if (!last || !drag) return;
+    const dx = e.clientX - last.x, dy = e.clientY - last.y;
+    last.x = e.clientX; last.y = e.clientY;
+    if (drag.mode === 'pinch') {
+      // each finger's move shifts the midpoint by half as much
+      const spread = pointerSpread();
+      if (spread > 0 && pinchSpread > 0) moveCamera(0, 0, pinchSpread / spread);
+      pinchSpread = spread;
+      panCamera(dx / 2, dy / 2);
+      return;
+    }
+    if (!drag.moved && Math.hypot(e.clientX - drag.x, e.clientY - drag.y) < DRAG_SLOP) return;
+    drag.moved = true;
+    if (drag.mode === 'pan') panCamera(dx, dy);
+    else { moveCamera(-dx * ORBIT_SPEED, -dy * ORBIT_SPEED); is3D = true; }
+  }
+
+  function onPointerUp(e) {
+    pointers.delete(e.pointerId);
+    if (editor && editor.dragFrom) editorPointerUp(e);
+    if (drag && drag.moved) suppressClick = true;
+    // lifting one finger of a pinch ends the gesture; the other one doesn't start an orbit
+    if (!drag || drag.mode !== 'pinch' || !pointers.size) drag = null;
+  }
+
+  function onWheel(e) {
+    e.preventDefault();
+    moveCamera(0, 0, Math.exp(e.deltaY * 0.0015));
+  }
+
+  function pointerSpread() {
+    const [a, b] = [...pointers.values()];
+    return a && b ? Math.hypot(a.x - b.x, a.y - b.y) : 0;
+  }
+
+  // swings the camera goal around the look target (dTheta around the vertical, dPhi away from overhead) and scales its distance
+  function moveCamera(dTheta, dPhi, scale = 1) {
+    orbitSpherical.setFromVector3(orbitOffset.subVectors(cameraTarget, cameraLookTarget));
+    orbitSpherical.theta += dTheta;
+    orbitSpherical.phi = THREE.MathUtils.clamp(orbitSpherical.phi + dPhi, MIN_POLAR, MAX_POLAR);
+    orbitSpherical.radius = THREE.MathUtils.clamp(orbitSpherical.radius * scale, MIN_DISTANCE, MAX_DISTANCE);
+    cameraTarget.copy(cameraLookTarget).add(orbitOffset.setFromSpherical(orbitSpherical));
+  }
+
+  // slides camera and look target along the table so the board follows the pointer
+  function panCamera(dx, dy) {
+    orbitSpherical.setFromVector3(orbitOffset.subVectors(cameraTarget, cameraLookTarget));
+    const perPixel = 2 * orbitSpherical.radius * Math.tan(THREE.MathUtils.degToRad(CAMERA_FOV / 2)) / window.innerHeight;
+    const t = orbitSpherical.theta; // screen right is (cos t, 0, -sin t) on the table, screen up (-sin t, 0, -cos t)
+    panStart.copy(cameraLookTarget);
+    cameraLookTarget.x = THREE.MathUtils.clamp(cameraLookTarget.x + (-dx * Math.cos(t) - dy * Math.sin(t)) * perPixel, -PAN_LIMIT, PAN_LIMIT);
+    cameraLookTarget.z = THREE.MathUtils.clamp(cameraLookTarget.z + (dx * Math.sin(t) - dy * Math.cos(t)) * perPixel, -PAN_LIMIT, PAN_LIMIT);
+    cameraTarget.add(panStart.subVectors(cameraLookTarget, panStart));
+  }
+
+  // ------- KEYBOARD & SCREEN READERS -------
+  // the board also exists as a visually hidden grid (a11yBoard) that mirrors the position; focusing it shows a cursor
+  // on the 3D board: arrows move it, Enter / Space picks up and drops, Escape puts the piece back
+  let cursor = { x: 4, z: 6 };
+  let boardFocused = false;
+  let boardCells = []; // boardCells[z][x] = the grid cell for that square
+
+  function createAccessibleBoard() {
+    boardCells = [];
+    for (let z = 0; z < 8; z++) {
+      const row = document.createElement('tr');
+      const head = document.createElement('th');
+      head.setAttribute('scope', 'row'); head.textContent = `Rank ${8 - z}`;
+      row.appendChild(head);
+      boardCells.push(Array.from({ length: 8 }, (_, x) => {
+        const cell = document.createElement('td');
+        cell.id = `sq-${Engine.squareName(x, z)}`; cell.setAttribute('role', 'gridcell');
+        row.appendChild(cell);
+        return cell;
+      }));
+      a11yBoard.appendChild(row);
+    }
+  }
+
+  function renderAccessibleBoard() {
+    if (!boardCells.length) return;
+    const sel = selectedMesh && selectedMesh.userData;
+    boardCells.forEach((row, z) => row.forEach((cell, x) => {
+      cell.textContent = Access.describeSquare(game, x, z);
+      cell.setAttribute('aria-selected', String(!!sel && sel.x === x && sel.z === z));
+    }));
+    a11yBoard.setAttribute('aria-activedescendant', boardCells[cursor.z][cursor.x].id);
+    showCursor();
+  }
+
+  function showCursor() {
+    if (!cursorGroup) return;
+    cursorGroup.clear();
+    if (boardFocused) addOverlay(cursorGroup, 'cursor', cursor.x, cursor.z);
+  }
+
+  function onBoardKey(e) {
+    // arrows follow the screen: with black at the bottom, up runs toward rank 1
+    const flip = cameraTarget.z < 0 ? -1 : 1;
+    const steps = { ArrowUp: [0, -flip], ArrowDown: [0, flip], ArrowLeft: [-flip, 0], ArrowRight: [flip, 0] };
+    if (steps[e.key]) {
+      const [dx, dz] = steps[e.key];
+      cursor = { x: Math.max(0, Math.min(7, cursor.x + dx)), z: Math.max(0, Math.min(7, cursor.z + dz)) };
+      renderAccessibleBoard();
+    } else if (e.key === 'Enter' || e.key === ' ') pressCursor();
+    else if (e.key === 'Escape' && selectedMesh) { clearHighlights(); selectedMesh = null; renderAccessibleBoard(); announce('Piece put back'); }
+    else return;
+    e.preventDefault();
+  }
+
+  // same as clicking the piece or square under the cursor
+  function pressCursor() {
+    const { x, z } = cursor;
+    if (editor) { editorPress(x, z); announce(Access.describeSquare(game, x, z)); return; }
+    const picked = selectedMesh, plies = moveHistory.length;
+    const square = boardGroup.children.find(c => c.userData.type === 'square' && c.userData.x === x && c.userData.z === z);
+    onBoardPress(findMeshAt(x, z) || square);
+    if (selectedMesh && selectedMesh !== picked) {
+      const count = Engine.legalMovesFrom(game, x, z).filter(m => !m.promotion || m.promotion === 'queen').length;
+      announce(`${Access.describeSquare(game, x, z)} picked up, ${count} ${count === 1 ? 'move' : 'moves'}`);
+    } else if (picked && !selectedMesh && moveHistory.length === plies && !promotionPending) announce('Piece put back');
+    else if (!picked && !selectedMesh) announce(Access.describeSquare(game, x, z));
+    renderAccessibleBoard();
+  }
+
+  // typed moves: 'Nf3', 'exd5', 'O-O', 'e2e4', 'e7e8q'
+  function submitTypedMove() {
+    const text = moveInput.value.trim();
+    if (!text) return;
+    if (viewPly !== null) { showToast('Go to the live position to move', 1500); return; }
+    if (gameState !== 'playing' || promotionPending || isAITurn() || isRemoteTurn() || isPuzzleScripted()) { showToast("It's not your move", 1500); return; }
+    const move = Access.parseTypedMove(game, text);
+    if (!move) { showToast(`Not a legal move: ${text}`, 1500); return; }
+    moveInput.value = '';
+    clearHighlights(); selectedMesh = null;
+    performMove(move);
+  }
+
+  // the live region reads out every toast: moves, checks, game end and the rest
+  function announce(msg) {
+    // strip emoji so readers don't spell them out; clearing first makes a repeated message speak again
+    const text = String(msg).replace(/[\u{1F000}-\u{1FAFF}\u{2600}-\u{27BF}\u{FE0F}]/gu, '').trim();
+    announcer.textContent = '';
+    setTimeout(() => { announcer.textContent = text; }, 50);
+  }
+
   // ------- Toast UI -------
   function createToastElement() {
     toastEl = document.createElement('div');
@@ -578,6 +2280,7 @@
   }
 
   function showToast(msg, duration = 1800) {
+    announce(msg);
     if (!toastEl) createToastElement();
     if (toastTimeout) { clearTimeout(toastTimeout); toastTimeout = null; }
     toastEl.textContent = msg;
@@ -595,15 +2298,18 @@
   function animate() {
     requestAnimationFrame(animate);
 
+    updateAnimations(performance.now());
+
     // Smoothly move camera toward cameraTarget
     camera.position.lerp(cameraTarget, CAMERA_LERP);
-    cameraLookCurrent.lerp(cameraLookTarget, CAMERA_LERP);
+    cameraLookCurrent.lerp(cameraLookAim.addVectors(cameraLookTarget, cameraFollow), CAMERA_LERP);
     camera.lookAt(cameraLookCurrent);
 
-    // Auto-rotate board if enabled
-    if (autoRotate) {
-      boardGroup.rotation.y += 0.01;
-    }
+    // pulse the check glow
+    resources.mats.check.opacity = 0.4 + 0.2 * Math.sin(performance.now() / 180);
+
+    // auto-rotate swings the camera around the table, so board, pieces and graveyard turn together and picking stays true
+    if (autoRotate) moveCamera(AUTO_ROTATE_SPEED, 0);
 
     renderer.render(scene, camera);
   }
@@ -615,13 +2321,31 @@
     renderer.setSize(window.innerWidth, window.innerHeight);
   }
 
-  // ------- Controls: reset / undo / toggle AI -------
+  // ------- Controls: reset / load position -------
   function resetGame() {
-    piecesGroup.clear(); initBoardState(); createPieces(); currentPlayer = 'white';
-    gameState = 'playing'; moveHistory = []; captured = { white: [], black: [] }; updateUI(); statusBox.textContent = 'Game in Progress';
-    setTopCameraTarget(); showToast('New Game');
+    if (blockedOnline()) return;
+    loadPosition(Variants.setup(variantSelect.value), { variant: variantSelect.value });
+    if (isAIvsAI()) orientCameraForPlayers(); else setTopCameraTarget(aiSides.white ? 'black' : 'white');
+    showToast('New Game');
+  }
+
+  // replaces the game with any position (new game, FEN/PGN import); history starts over from there
+  // variant: the rules to play it under, the current game's by default
+  function loadPosition(pos, { quiet = false, variant = variantKey } = {}) {
+    cancelAISearch();
+    closePromotionPicker(null);
+    clearHighlights(); selectedMesh = null;
+    leavePuzzleMode();
+    leaveEditor();
+    variantKey = variantSelect.value = Variants.get(variant).key;
+    createPieces(Variants.attach(pos, variantKey, pos.variantState));
+    gameState = 'playing'; gameResult = '*'; pgnTags = {};
+    moveHistory = []; viewPly = null; setDrawOffer(null); resetClock(); updateUI();
+    evaluateGameState();
+    if (quiet) return;
+    autosave();
+    maybeAIMove(250);
   }
-  function toggleAI() { useAI = !useAI; aiBtn.textContent = useAI ? 'AI: ON' : 'Play vs AI'; if (useAI && currentPlayer === 'black') setTimeout(makeBestAIMove, 250); }
 
   // ------- export / start -------
   startup();
@@ -0,0 +1,85 @@
+// clock.js
+// 3D Chess Master — chess clocks: time controls, Fischer increment or delay, flag fall
+// loads as a plain <script> (window.ChessClock) or via require() in Node; times are ms, `now` is passed in
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.ChessClock = factory();
+})(typeof self !== 'undefined' ? self : this, () => {
+  // ------- CONFIG -------
+  // mode 'increment' (Fischer) adds incrementMs after each move; 'delay' lets the first incrementMs of every turn go uncounted
+  const PRESETS = {
+    bullet: { label: 'Bullet 1+0', baseMs: 60000, incrementMs: 0, mode: 'increment' },
+    bullet2: { label: 'Bullet 2+1', baseMs: 120000, incrementMs: 1000, mode: 'increment' },
+    blitz: { label: 'Blitz 3+2', baseMs: 180000, incrementMs: 2000, mode: 'increment' },
+    blitz5: { label: 'Blitz 5+0', baseMs: 300000, incrementMs: 0, mode: 'increment' },
+    rapid: { label: 'Rapid 10+0', baseMs: 600000, incrementMs: 0, mode: 'increment' },
+    rapid15: { label: 'Rapid 15+10', baseMs: 900000, incrementMs: 10000, mode: 'increment' }
+  };
+
+  const other = color => (color === 'white' ? 'black' : 'white');
+
+  // ------- CLOCK STATE -------
+  // running = color whose time is counting (null while paused or before the first move), since = when it started
+  function createClock({ baseMs, incrementMs = 0, mode = 'increment' }) {
+    return { control: { baseMs, incrementMs, mode }, remaining: { white: baseMs, black: baseMs }, running: null, since: 0 };
+  }
+
+  function spent(clock, now) {
+    const used = Math.max(0, now - clock.since);
+    return clock.control.mode === 'delay' ? Math.max(0, used - clock.control.incrementMs) : used;
+  }
+
+  function timeLeft(clock, color, now) {
+    const left = clock.remaining[color] - (clock.running === color ? spent(clock, now) : 0);
+    return Math.max(0, left);
+  }
+
+  function start(clock, color, now) {
+    stop(clock, now);
+    clock.running = color; clock.since = now;
+  }
+
+  // pauses whichever side is running, keeping the time it used so far
+  function stop(clock, now) {
+    if (!clock.running) return;
+    clock.remaining[clock.running] = timeLeft(clock, clock.running, now);
+    clock.running = null;
+  }
+
+  // `mover` just moved: charge them (if their clock was running), add the increment, start the opponent
+  function press(clock, mover, now) {
+    stop(clock, now);
+    if (clock.control.mode === 'increment') clock.remaining[mover] += clock.control.incrementMs;
+    start(clock, other(mover), now);
+  }
+
+  // the color that ran out of time, or null
+  function flagged(clock, now) {
+    return clock.running && timeLeft(clock, clock.running, now) <= 0 ? clock.running : null;
+  }
+
+  // thinking time an engine can afford for one move: a slice of what is left plus most of the bonus it gets back
+  function moveBudget(clock, color, now) {
+    const left = timeLeft(clock, color, now);
+    return Math.max(50, Math.min(left / 2, left / 30 + clock.control.incrementMs * 0.8));
+  }
+
+  // ------- DISPLAY -------
+  // m:ss, h:mm:ss over an hour, tenths under ten seconds
+  function formatTime(ms) {
+    if (ms < 10000) return `0:0${(Math.floor(ms / 100) / 10).toFixed(1)}`;
+    const total = Math.ceil(ms / 1000);
+    const h = Math.floor(total / 3600), m = Math.floor(total / 60) % 60, s = String(total % 60).padStart(2, '0');
+    return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+  }
+
+  // PGN TimeControl tag: "base+inc" in seconds; delay has no standard form, so only the base is given
+  function pgnTimeControl({ baseMs, incrementMs, mode }) {
+    const base = Math.round(baseMs / 1000);
+    return mode === 'increment' && incrementMs ? `${base}+${Math.round(incrementMs / 1000)}` : String(base);
+  }
+
+  // ------- export -------
+  return { PRESETS, createClock, timeLeft, start, stop, press, flagged, moveBudget, formatTime, pgnTimeControl };
+});
@@ -0,0 +1,548 @@
+// engine.js
+// 3D Chess Master — headless rules engine (no THREE, no DOM)
+// loads as a plain <script> (window.ChessEngine) or via require() in Node
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.ChessEngine = factory();
+})(typeof self !== 'undefined' ? self : this, () => {
+  // ------- CONFIG -------
+  const SIZE = 8;
+  const PIECE_VALUES = { pawn: 100, knight: 320, bishop: 330, rook: 500, queen: 900, king: 20000 };
+  const BACK_RANK = ['rook', 'knight', 'bishop', 'queen', 'king', 'bishop', 'knight', 'rook'];
+  const PROMOTION_TYPES = ['queen', 'rook', 'bishop', 'knight'];
+
+  // Coordinates follow the board: board[z][x], x = file (0 = a), z = row from black's side (0 = rank 8).
+  // Squares hold { type, color }; callers may hang extra fields on them (the renderer keeps its mesh there),
+  // makeMove/unmakeMove move those objects around instead of copying them.
+  // Castling rights are stored as the file of the rook that may still castle (null once lost), so
+  // castling.white.king === 7 means white can still castle king-side with the h-file rook.
+  // Chess960 castling works the same way from any king and rook files: the king ends on g / c, the rook on f / d.
+  // A castle move goes to g / c from the standard setup and onto the castling rook's square otherwise (so it
+  // never looks like a one-step king move); either way it carries castle: 'king' | 'queen' and rookX.
+  //
+  // Variants hang their rules on the position: pos.variant = { outcome(pos), afterMove(pos, undo), lacksMaterial(pos, color) }
+  // (all optional, null for standard chess) and pos.variantState, a flat object of counters (Three-Check's checks given)
+  // that makeMove copies before afterMove changes it. gameStatus asks outcome(pos) -> { winner, message } | null first;
+  // lacksMaterial says whether `color` can no longer win, in place of the mating-material rules (a bare king can still
+  // reach the hill), and the game is a material draw when it holds for both sides.
+
+  // ------- BOARD HELPERS -------
+  function opposite(color) { return color === 'white' ? 'black' : 'white'; }
+  function isInside(x, z) { return x >= 0 && x < SIZE && z >= 0 && z < SIZE; }
+  function emptyBoard() { return Array(SIZE).fill().map(() => Array(SIZE).fill(null)); }
+  function homeRow(color) { return color === 'white' ? SIZE - 1 : 0; }
+  function pieceAt(bs, x, z) { return isInside(x, z) ? bs[z][x] : null; }
+
+  function cloneBoard(bs) {
+    const c = emptyBoard();
+    for (let z = 0; z < SIZE; z++) for (let x = 0; x < SIZE; x++) if (bs[z][x]) c[z][x] = { type: bs[z][x].type, color: bs[z][x].color };
+    return c;
+  }
+
+  function startingBoard() {
+    const bs = emptyBoard();
+    for (let i = 0; i < SIZE; i++) {
+      bs[0][i] = { type: BACK_RANK[i], color: 'black' };
+      bs[1][i] = { type: 'pawn', color: 'black' };
+      bs[6][i] = { type: 'pawn', color: 'white' };
+      bs[7][i] = { type: BACK_RANK[i], color: 'white' };
+    }
+    return bs;
+  }
+
+  // ------- POSITION -------
+  function fullCastling() { return { white: { king: 7, queen: 0 }, black: { king: 7, queen: 0 } }; }
+  function noCastling() { return { white: { king: null, queen: null }, black: { king: null, queen: null } }; }
+  function cloneCastling(c) { return { white: { ...c.white }, black: { ...c.black } }; }
+
+  // ep = the square a pawn skipped with its double push ({ x, z }), capturable on the very next move
+  // halfmove = moves since the last capture or pawn move (fifty-move rule), fullmove = move number
+  function createPosition({ board = startingBoard(), turn = 'white', castling = fullCastling(), ep = null, halfmove = 0, fullmove = 1, variant = null, variantState = null } = {}) {
+    return { board, turn, castling, ep, halfmove, fullmove, variant, variantState };
+  }
+
+  function clonePosition(pos) {
+    return {
+      board: cloneBoard(pos.board), turn: pos.turn, castling: cloneCastling(pos.castling), ep: pos.ep ? { ...pos.ep } : null,
+      halfmove: pos.halfmove, fullmove: pos.fullmove, variant: pos.variant || null, variantState: pos.variantState ? { ...pos.variantState } : null
+    };
+  }
+
+  // ------- NOTATION HELPERS -------
+  const PIECE_LETTERS = { pawn: 'p', knight: 'n', bishop: 'b', rook: 'r', queen: 'q', king: 'k' };
+  const LETTER_PIECES = { p: 'pawn', n: 'knight', b: 'bishop', r: 'rook', q: 'queen', k: 'king' };
+
+  function pieceLetter(p) { const l = PIECE_LETTERS[p.type]; return p.color === 'white' ? l.toUpperCase() : l; }
+  function squareName(x, z) { return String.fromCharCode(97 + x) + (SIZE - z); }
+  // 'e4' -> { x: 4, z: 4 }, null when it isn't a square
+  function parseSquare(name) {
+    const m = /^([a-h])([1-8])$/.exec(name || '');
+    return m ? { x: m[1].charCodeAt(0) - 97, z: SIZE - Number(m[2]) } : null;
+  }
+
+  // identifies a position for repetition: pieces, side to move, castling rights and a usable ep square
+  function positionKey(pos) {
+    let key = '';
+    for (let z = 0; z < SIZE; z++) for (let x = 0; x < SIZE; x++) {
+      const p = pos.board[z][x];
+      key += p ? pieceLetter(p) : '.';
+    }
+    const c = pos.castling;
+    key += ` ${pos.turn[0]} ${c.white.king ?? '-'}${c.white.queen ?? '-'}${c.black.king ?? '-'}${c.black.queen ?? '-'}`;
+    // an ep square only matters when a pawn could actually take there
+    if (pos.ep) {
+      const fromZ = pos.ep.z + (pos.turn === 'white' ? 1 : -1);
+      const takers = [-1, 1].some(dx => { const p = pieceAt(pos.board, pos.ep.x + dx, fromZ); return p && p.type === 'pawn' && p.color === pos.turn; });
+      if (takers) key += ` ${pos.ep.x}${pos.ep.z}`;
+    }
+    if (pos.variantState) key += ` ${Object.values(pos.variantState).join(',')}`;
+    return key;
+  }
+
+  // ------- FEN -------
+  const START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+  function toFen(pos) {
+    const rows = pos.board.map(row => {
+      let out = '', empty = 0;
+      row.forEach(p => { if (!p) { empty++; return; } if (empty) { out += empty; empty = 0; } out += pieceLetter(p); });
+      return empty ? out + empty : out;
+    });
+    const rights = ['white', 'black'].map(color => ['king', 'queen'].map(side => {
+      const rookX = pos.castling[color][side];
+      if (rookX === null || rookX === undefined) return '';
+      // X-FEN: K / Q for the outermost rook on that side, the rook's file letter when an inner rook castles
+      const letter = outermostRook(pos.board, color, side) === rookX ? side[0] : String.fromCharCode(97 + rookX);
+      return color === 'white' ? letter.toUpperCase() : letter;
+    }).join('')).join('');
+    return [rows.join('/'), pos.turn[0], rights || '-', pos.ep ? squareName(pos.ep.x, pos.ep.z) : '-', pos.halfmove, pos.fullmove].join(' ');
+  }
+
+  // file of the rook furthest from the king on one side of the home row, or null
+  function outermostRook(bs, color, side) {
+    const z = homeRow(color), king = homeKingX(bs, color);
+    if (king === null) return null;
+    const files = side === 'king' ? [7, 6, 5, 4, 3, 2, 1] : [0, 1, 2, 3, 4, 5, 6];
+    const x = files.find(f => (side === 'king' ? f > king : f < king) && bs[z][f] && bs[z][f].type === 'rook' && bs[z][f].color === color);
+    return x === undefined ? null : x;
+  }
+
+  // the king's file when it stands on its home row, else null
+  function homeKingX(bs, color) {
+    const row = bs[homeRow(color)];
+    const x = row.findIndex(p => p && p.type === 'king' && p.color === color);
+    return x < 0 ? null : x;
+  }
+
+  // throws Error with a readable message when the FEN is malformed
+  function parseFen(fen) {
+    const fields = String(fen).trim().split(/\s+/);
+    if (fields.length < 4) throw new Error('Invalid FEN: expected at least 4 fields');
+    const [placement, turn, rights, ep, halfmove = '0', fullmove = '1'] = fields;
+
+    const rows = placement.split('/');
+    if (rows.length !== SIZE) throw new Error('Invalid FEN: expected 8 ranks');
+    const board = emptyBoard();
+    rows.forEach((row, z) => {
+      let x = 0;
+      for (const ch of row) {
+        if (/[1-8]/.test(ch)) { x += Number(ch); continue; }
+        const type = LETTER_PIECES[ch.toLowerCase()];
+        if (!type) throw new Error(`Invalid FEN: unknown piece '${ch}'`);
+        if (x >= SIZE) throw new Error(`Invalid FEN: rank ${SIZE - z} is too long`);
+        board[z][x++] = { type, color: ch === ch.toUpperCase() ? 'white' : 'black' };
+      }
+      if (x !== SIZE) throw new Error(`Invalid FEN: rank ${SIZE - z} has ${x} squares`);
+    });
+    ['white', 'black'].forEach(color => {
+      const kings = board.flat().filter(p => p && p.type === 'king' && p.color === color).length;
+      if (kings !== 1) throw new Error(`Invalid FEN: ${color} must have exactly one king`);
+    });
+
+    if (turn !== 'w' && turn !== 'b') throw new Error(`Invalid FEN: side to move must be 'w' or 'b'`);
+    if (!/^(-|[KQA-H]*[kqa-h]*)$/.test(rights)) throw new Error(`Invalid FEN: bad castling field '${rights}'`);
+    // KQkq (the outermost rook) or Shredder / X-FEN file letters for Chess960;
+    // only keep rights that the king and rook placement can still back up
+    const castling = noCastling();
+    if (rights !== '-') for (const flag of rights) {
+      const color = flag === flag.toUpperCase() ? 'white' : 'black', f = flag.toLowerCase();
+      const king = homeKingX(board, color);
+      if (king === null) continue;
+      const rookX = f === 'k' ? outermostRook(board, color, 'king') : f === 'q' ? outermostRook(board, color, 'queen') : f.charCodeAt(0) - 97;
+      const rook = rookX === null ? null : board[homeRow(color)][rookX];
+      if (rook && rook.type === 'rook' && rook.color === color && rookX !== king) castling[color][rookX > king ? 'king' : 'queen'] = rookX;
+    }
+
+    let epSquare = null;
+    if (ep !== '-') {
+      epSquare = parseSquare(ep);
+      if (!epSquare || (epSquare.z !== 2 && epSquare.z !== 5)) throw new Error(`Invalid FEN: bad en passant square '${ep}'`);
+    }
+    if (!/^\d+$/.test(halfmove) || !/^\d+$/.test(fullmove)) throw new Error('Invalid FEN: move counters must be numbers');
+
+    return createPosition({ board, turn: turn === 'w' ? 'white' : 'black', castling, ep: epSquare, halfmove: Number(halfmove), fullmove: Math.max(1, Number(fullmove)) });
+  }
+
+  // why a set-up position can't be played, as readable messages (empty when it can);
+  // parseFen checks the format and little else, so positions put together by hand come through here before a game starts
+  function positionErrors(pos) {
+    const errors = [], name = c => (c === 'white' ? 'White' : 'Black');
+    const kings = ['white', 'black'].filter(color => {
+      const count = pos.board.flat().filter(p => p && p.type === 'king' && p.color === color).length;
+      if (count !== 1) errors.push(`${name(color)} needs exactly one king (has ${count})`);
+      return count === 1;
+    });
+    const pawns = [];
+    [0, SIZE - 1].forEach(z => pos.board[z].forEach((p, x) => { if (p && p.type === 'pawn') pawns.push(squareName(x, z)); }));
+    if (pawns.length) errors.push(`Pawns can't stand on the first or last rank (${pawns.join(', ')})`);
+    // the side that just moved can't have left its king in check
+    const waiting = opposite(pos.turn);
+    if (kings.length === 2 && isKingInCheck(pos.board, waiting)) errors.push(`${name(waiting)} is in check with ${pos.turn} to move`);
+    return errors;
+  }
+
+  // ------- LEGALITY -------
+  function isPathClear(bs, fX, fZ, tX, tZ) {
+    const sx = Math.sign(tX - fX), sz = Math.sign(tZ - fZ);
+    let x = fX + sx, z = fZ + sz;
+    while (x !== tX || z !== tZ) { if (bs[z][x]) return false; x += sx; z += sz; }
+    return true;
+  }
+
+  // pass pos to also accept castling and en passant, which depend on more than the board
+  function isPseudoLegal(move, bs, forCheck = false, pos = null) {
+    const piece = bs[move.fromZ] && bs[move.fromZ][move.fromX]; if (!piece) return false;
+    if (!isInside(move.toX, move.toZ) || (move.toX === move.fromX && move.toZ === move.fromZ)) return false;
+    const dx = move.toX - move.fromX, dz = move.toZ - move.fromZ, adx = Math.abs(dx), adz = Math.abs(dz);
+    const target = bs[move.toZ][move.toX];
+    // a Chess960 castle lands on the king's own rook
+    if (!forCheck && target && target.color === piece.color && !(pos && castleSide(pos, piece, move))) return false;
+
+    switch (piece.type) {
+      case 'pawn': {
+        const dir = piece.color === 'white' ? -1 : 1;
+        const start = piece.color === 'white' ? 6 : 1;
+        if (dx === 0) {
+          if (dz === dir && !target) return true;
+          if (dz === 2 * dir && move.fromZ === start && !target && !bs[move.fromZ + dir][move.fromX]) return true;
+          return false;
+        }
+        if (adx === 1 && dz === dir) {
+          if (target) return target.color !== piece.color;
+          return !!(pos && pos.ep && pos.ep.x === move.toX && pos.ep.z === move.toZ);
+        }
+        return false;
+      }
+      case 'rook':
+        if (dx !== 0 && dz !== 0) return false;
+        return isPathClear(bs, move.fromX, move.fromZ, move.toX, move.toZ);
+      case 'bishop':
+        if (adx !== adz) return false;
+        return isPathClear(bs, move.fromX, move.fromZ, move.toX, move.toZ);
+      case 'queen':
+        if (dx === 0 || dz === 0 || adx === adz) return isPathClear(bs, move.fromX, move.fromZ, move.toX, move.toZ);
+        return false;
+      case 'knight':
+        return (adx === 1 && adz === 2) || (adx === 2 && adz === 1);
+      case 'king': {
+        const side = pos && castleSide(pos, piece, move);
+        if (side) return canCastle(pos, piece.color, side);
+        return Math.max(adx, adz) === 1;
+      }
+    }
+    return false;
+  }
+
+  function findKing(bs, player) {
+    for (let z = 0; z < SIZE; z++) for (let x = 0; x < SIZE; x++) if (bs[z][x] && bs[z][x].type === 'king' && bs[z][x].color === player) return { x, z };
+    return null;
+  }
+
+  const KNIGHT_STEPS = [[1, 2], [2, 1], [-1, 2], [-2, 1], [1, -2], [2, -1], [-1, -2], [-2, -1]];
+  const ORTHOGONAL = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+  const DIAGONAL = [[1, 1], [1, -1], [-1, 1], [-1, -1]];
+
+  // does any piece of byColor attack (x, z)? pawns only count their diagonal captures
+  function isSquareAttacked(bs, x, z, byColor) {
+    const pawnRow = z - (byColor === 'white' ? -1 : 1);
+    for (const dx of [-1, 1]) { const p = pieceAt(bs, x + dx, pawnRow); if (p && p.color === byColor && p.type === 'pawn') return true; }
+    for (const [dx, dz] of KNIGHT_STEPS) { const p = pieceAt(bs, x + dx, z + dz); if (p && p.color === byColor && p.type === 'knight') return true; }
+    for (let dx = -1; dx <= 1; dx++) for (let dz = -1; dz <= 1; dz++) {
+      if (dx === 0 && dz === 0) continue;
+      const p = pieceAt(bs, x + dx, z + dz); if (p && p.color === byColor && p.type === 'king') return true;
+    }
+    const slides = (dirs, types) => dirs.some(([dx, dz]) => {
+      let nx = x + dx, nz = z + dz;
+      while (isInside(nx, nz)) { const p = bs[nz][nx]; if (p) return p.color === byColor && types.includes(p.type); nx += dx; nz += dz; }
+      return false;
+    });
+    return slides(ORTHOGONAL, ['rook', 'queen']) || slides(DIAGONAL, ['bishop', 'queen']);
+  }
+
+  // a missing king counts as "in check" so broken positions never look playable
+  function isKingInCheck(bs, player) {
+    const king = findKing(bs, player);
+    if (!king) return true;
+    return isSquareAttacked(bs, king.x, king.z, opposite(player));
+  }
+
+  // ------- MOVE GENERATION -------
+  // pos is optional: without it only board-local moves are produced (no castling, no en passant)
+  function generatePseudoMoves(x, z, bs, pos = null) {
+    const p = bs[z][x]; if (!p) return [];
+    const moves = []; const t = p.type; const color = p.color; const dir = color === 'white' ? -1 : 1;
+    if (t === 'pawn') {
+      // a pawn reaching the last row turns into one move per promotion piece
+      const push = mv => { if (mv.toZ === 0 || mv.toZ === SIZE - 1) PROMOTION_TYPES.forEach(promotion => moves.push({ ...mv, promotion })); else moves.push(mv); };
+      if (isInside(x, z + dir) && !bs[z + dir][x]) push({ toX: x, toZ: z + dir });
+      const start = (color === 'white' ? 6 : 1);
+      if (z === start && !bs[z + dir][x] && !bs[z + 2 * dir][x]) moves.push({ toX: x, toZ: z + 2 * dir });
+      [[x - 1, z + dir], [x + 1, z + dir]].forEach(([nx, nz]) => {
+        if (!isInside(nx, nz)) return;
+        if (bs[nz][nx] && bs[nz][nx].color !== color) push({ toX: nx, toZ: nz });
+        else if (pos && pos.ep && pos.ep.x === nx && pos.ep.z === nz && !bs[nz][nx]) moves.push({ toX: nx, toZ: nz, enPassant: true });
+      });
+    } else if (t === 'knight') {
+      KNIGHT_STEPS.forEach(([dx, dz]) => { const nx = x + dx, nz = z + dz; if (isInside(nx, nz) && (!bs[nz][nx] || bs[nz][nx].color !== color)) moves.push({ toX: nx, toZ: nz }); });
+    } else if (t === 'rook' || t === 'bishop' || t === 'queen') {
+      const dirs = (t === 'rook') ? ORTHOGONAL : (t === 'bishop') ? DIAGONAL : [...ORTHOGONAL, ...DIAGONAL];
+      dirs.forEach(([dx, dz]) => { let nx = x + dx, nz = z + dz; while (isInside(nx, nz)) { if (!bs[nz][nx]) moves.push({ toX: nx, toZ: nz }); else { if (bs[nz][nx].color !== color) moves.push({ toX: nx, toZ: nz }); break; } nx += dx; nz += dz; } });
+    } else if (t === 'king') {
+      for (let dx = -1; dx <= 1; dx++) for (let dz = -1; dz <= 1; dz++) { if (dx === 0 && dz === 0) continue; const nx = x + dx, nz = z + dz; if (isInside(nx, nz) && (!bs[nz][nx] || bs[nz][nx].color !== color)) moves.push({ toX: nx, toZ: nz }); }
+      if (pos) ['king', 'queen'].forEach(side => { if (canCastle(pos, color, side)) moves.push({ toX: castleTargetX(pos, color, side), toZ: z, castle: side, rookX: pos.castling[color][side] }); });
+    }
+    return moves;
+  }
+
+  // rights still held, king and rook home, every square either of them crosses or lands on empty (but for the two
+  // of them), king not in, through or into check
+  function canCastle(pos, color, side) {
+    const bs = pos.board, rookX = pos.castling[color][side], z = homeRow(color);
+    if (rookX === null || rookX === undefined) return false;
+    const kingX = homeKingX(bs, color), rook = bs[z][rookX];
+    if (kingX === null || !rook || rook.type !== 'rook' || rook.color !== color || (side === 'king') !== (rookX > kingX)) return false;
+    const kingTo = side === 'king' ? 6 : 2, rookTo = side === 'king' ? 5 : 3;
+    const lo = Math.min(kingX, kingTo, rookX, rookTo), hi = Math.max(kingX, kingTo, rookX, rookTo);
+    for (let x = lo; x <= hi; x++) if (bs[z][x] && x !== kingX && x !== rookX) return false;
+    const enemy = opposite(color), step = Math.sign(kingTo - kingX);
+    for (let x = kingX; ; x += step) { if (isSquareAttacked(bs, x, z, enemy)) return false; if (x === kingTo) break; }
+    return true;
+  }
+
+  // where a castle move points: g / c from the standard setup, the castling rook's square otherwise
+  function castleTargetX(pos, color, side) {
+    const rookX = pos.castling[color][side];
+    return homeKingX(pos.board, color) === 4 && rookX === (side === 'king' ? 7 : 0) ? (side === 'king' ? 6 : 2) : rookX;
+  }
+
+  // the side a king move castles to, or null for an ordinary king move
+  function castleSide(pos, piece, move) {
+    if (piece.type !== 'king' || move.fromZ !== homeRow(piece.color) || move.toZ !== move.fromZ) return null;
+    return ['king', 'queen'].find(side => {
+      const rookX = pos.castling[piece.color][side];
+      return rookX !== null && rookX !== undefined && homeKingX(pos.board, piece.color) === move.fromX && castleTargetX(pos, piece.color, side) === move.toX;
+    }) || null;
+  }
+
+  // ------- MAKE / UNMAKE -------
+  // Returns the record unmakeMove needs to restore the position exactly. The record also tells a
+  // renderer what else moved: undo.rook ({ piece, fromX, toX, z }) and undo.kingTo (the king's file, which
+  // differs from move.toX in Chess960) for castling, and undo.capturedAt for the captured piece's square
+  // (differs from the target square on en passant).
+  function makeMove(pos, move) {
+    const bs = pos.board;
+    const piece = bs[move.fromZ][move.fromX];
+    const dx = move.toX - move.fromX;
+    // bare moves (no castle flag) castle by moving the king two squares, or onto its own castling rook
+    const castle = move.castle || (piece.type === 'king' ? castleSide(pos, piece, move) || (Math.abs(dx) === 2 && move.fromX === 4 ? (dx > 0 ? 'king' : 'queen') : null) : null);
+    const enPassant = !castle && (move.enPassant || (piece.type === 'pawn' && dx !== 0 && !bs[move.toZ][move.toX]));
+    const capturedAt = enPassant ? { x: move.toX, z: move.fromZ } : { x: move.toX, z: move.toZ };
+    const undo = {
+      move, piece, captured: castle ? null : bs[capturedAt.z][capturedAt.x], capturedAt, promotion: null, rook: null, kingTo: null,
+      turn: pos.turn, castling: cloneCastling(pos.castling), ep: pos.ep, halfmove: pos.halfmove, fullmove: pos.fullmove, variantState: pos.variantState
+    };
+
+    if (castle) {
+      // lift both pieces first: in Chess960 each may land where the other stood
+      const rookX = pos.castling[piece.color][castle] ?? (castle === 'king' ? 7 : 0);
+      const kingTo = castle === 'king' ? 6 : 2, rookTo = castle === 'king' ? 5 : 3;
+      const rook = bs[move.fromZ][rookX];
+      bs[move.fromZ][move.fromX] = null; bs[move.fromZ][rookX] = null;
+      bs[move.fromZ][kingTo] = piece; bs[move.fromZ][rookTo] = rook;
+      undo.rook = { piece: rook, fromX: rookX, toX: rookTo, z: move.fromZ };
+      undo.kingTo = kingTo;
+    } else {
+      bs[capturedAt.z][capturedAt.x] = null;
+      bs[move.toZ][move.toX] = piece;
+      bs[move.fromZ][move.fromX] = null;
+    }
+
+    if (piece.type === 'pawn' && (move.toZ === 0 || move.toZ === SIZE - 1)) {
+      piece.type = move.promotion || 'queen';
+      undo.promotion = piece.type;
+    }
+
+    // castling rights: a king move drops both, a rook leaving (or captured on) its home square drops that side
+    const rights = pos.castling;
+    if (piece.type === 'king') rights[piece.color] = { king: null, queen: null };
+    [[move.fromX, move.fromZ], [move.toX, move.toZ]].forEach(([x, z]) => {
+      ['white', 'black'].forEach(color => {
+        if (z !== homeRow(color)) return;
+        if (rights[color].king === x) rights[color].king = null;
+        if (rights[color].queen === x) rights[color].queen = null;
+      });
+    });
+
+    pos.ep = piece.type === 'pawn' && Math.abs(move.toZ - move.fromZ) === 2 ? { x: move.fromX, z: (move.fromZ + move.toZ) / 2 } : null;
+    pos.halfmove = (undo.captured || undo.promotion || piece.type === 'pawn') ? 0 : pos.halfmove + 1;
+    if (pos.turn === 'black') pos.fullmove++;
+    pos.turn = opposite(pos.turn);
+    if (pos.variant && pos.variant.afterMove) {
+      if (pos.variantState) pos.variantState = { ...pos.variantState };
+      pos.variant.afterMove(pos, undo);
+    }
+    return undo;
+  }
+
+  function unmakeMove(pos, undo) {
+    const bs = pos.board, m = undo.move;
+    if (undo.promotion) undo.piece.type = 'pawn';
+    if (undo.rook) {
+      bs[undo.rook.z][undo.kingTo] = null; bs[undo.rook.z][undo.rook.toX] = null;
+      bs[undo.rook.z][undo.rook.fromX] = undo.rook.piece; bs[m.fromZ][m.fromX] = undo.piece;
+    } else {
+      bs[m.toZ][m.toX] = null;
+      bs[m.fromZ][m.fromX] = undo.piece;
+      bs[undo.capturedAt.z][undo.capturedAt.x] = undo.captured;
+    }
+    pos.turn = undo.turn;
+    pos.variantState = undo.variantState;
+    pos.castling = undo.castling;
+    pos.ep = undo.ep;
+    pos.halfmove = undo.halfmove;
+    pos.fullmove = undo.fullmove;
+  }
+
+  // board-only variant kept for callers that work on bare cloned arrays
+  function applyMoveOnClone(bs, move) {
+    const piece = bs[move.fromZ][move.fromX];
+    makeMove({ board: bs, turn: piece ? piece.color : 'white', castling: noCastling(), ep: null }, move);
+  }
+
+  // matches a bare { fromX, fromZ, toX, toZ } against the legal moves and returns the full move
+  // (with its castle / enPassant / promotion fields), or null when it's not legal.
+  // Without move.promotion a promoting pawn move comes back as the queen promotion.
+  function findLegalMove(pos, move) {
+    const from = pos.board[move.fromZ] && pos.board[move.fromZ][move.fromX];
+    if (!from || from.color !== pos.turn) return null;
+    return legalMovesFrom(pos, move.fromX, move.fromZ)
+      .find(m => m.toX === move.toX && m.toZ === move.toZ && (!move.promotion || m.promotion === move.promotion)) || null;
+  }
+
+  function isLegalMove(pos, move) { return !!findLegalMove(pos, move); }
+
+  function leavesKingSafe(pos, move) {
+    const undo = makeMove(pos, move);
+    const ok = !isKingInCheck(pos.board, undo.turn);
+    unmakeMove(pos, undo);
+    return ok;
+  }
+
+  // filter (optional) is applied to the pseudo moves before the more expensive legality check,
+  // e.g. the AI's quiescence search only asks for captures
+  function legalMovesFrom(pos, x, z, filter = null) {
+    const p = pos.board[z][x]; if (!p || p.color !== pos.turn) return [];
+    const moves = [];
+    for (const mv of generatePseudoMoves(x, z, pos.board, pos)) {
+      const m = { fromX: x, fromZ: z, ...mv };
+      if ((!filter || filter(m)) && leavesKingSafe(pos, m)) moves.push(m);
+    }
+    return moves;
+  }
+
+  function legalMoves(pos, filter = null) {
+    const moves = [];
+    for (let z = 0; z < SIZE; z++) for (let x = 0; x < SIZE; x++) moves.push(...legalMovesFrom(pos, x, z, filter));
+    return moves;
+  }
+
+  // ------- GAME STATUS -------
+  // K v K, K + one minor v K, or nothing but bishops that all stand on one square colour
+  function isInsufficientMaterial(bs) {
+    const minors = [];
+    for (let z = 0; z < SIZE; z++) for (let x = 0; x < SIZE; x++) {
+      const p = bs[z][x]; if (!p || p.type === 'king') continue;
+      if (p.type === 'pawn' || p.type === 'rook' || p.type === 'queen') return false;
+      minors.push({ type: p.type, shade: (x + z) % 2 });
+    }
+    if (minors.length <= 1) return true;
+    return minors.every(m => m.type === 'bishop' && m.shade === minors[0].shade);
+  }
+
+  // true when `color` could not mate even with the opponent's help (decides a flag fall: timeout vs insufficient
+  // material is a draw). A lone king never can; a lone knight only against a bare king or queens; bishops only
+  // when every bishop on the board shares a shade and the opponent has no pawns or knights to block with
+  function lacksMatingMaterial(bs, color) {
+    const own = [], other = [];
+    for (let z = 0; z < SIZE; z++) for (let x = 0; x < SIZE; x++) {
+      const p = bs[z][x]; if (!p || p.type === 'king') continue;
+      (p.color === color ? own : other).push({ type: p.type, shade: (x + z) % 2 });
+    }
+    if (own.some(p => p.type === 'pawn' || p.type === 'rook' || p.type === 'queen')) return false;
+    if (own.some(p => p.type === 'knight')) return own.length === 1 && other.every(p => p.type === 'queen');
+    if (own.length) {
+      const bishops = [...own, ...other.filter(p => p.type === 'bishop')];
+      return bishops.every(p => p.shade === own[0].shade) && !other.some(p => p.type === 'pawn' || p.type === 'knight');
+    }
+    return true;
+  }
+
+  // the same two questions with the position's variant rules
+  function lacksWinningMaterial(pos, color) {
+    return pos.variant && pos.variant.lacksMaterial ? pos.variant.lacksMaterial(pos, color) : lacksMatingMaterial(pos.board, color);
+  }
+
+  function isMaterialDraw(pos) {
+    if (!pos.variant || !pos.variant.lacksMaterial) return isInsufficientMaterial(pos.board);
+    return pos.variant.lacksMaterial(pos, 'white') && pos.variant.lacksMaterial(pos, 'black');
+  }
+
+  // keys = positionKey() of every position reached so far, the current one included
+  function isThreefoldRepetition(keys) {
+    if (!keys.length) return false;
+    const last = keys[keys.length - 1];
+    return keys.filter(k => k === last).length >= 3;
+  }
+
+  // state: 'playing' | 'checkmate' | 'stalemate' | 'insufficient' | 'fifty-move' | 'repetition' | 'variant'
+  // ('variant': the variant's own win, with winner and message)
+  function gameStatus(pos, keys = []) {
+    const inCheck = isKingInCheck(pos.board, pos.turn);
+    const decided = pos.variant && pos.variant.outcome && pos.variant.outcome(pos);
+    if (decided) return { state: 'variant', inCheck, winner: decided.winner, message: decided.message };
+    const status = state => ({ state, inCheck, winner: state === 'checkmate' ? opposite(pos.turn) : null });
+    if (!legalMoves(pos).length) return status(inCheck ? 'checkmate' : 'stalemate');
+    if (isMaterialDraw(pos)) return status('insufficient');
+    if (pos.halfmove >= 100) return status('fifty-move');
+    if (isThreefoldRepetition(keys)) return status('repetition');
+    return status('playing');
+  }
+
+  function evaluateMaterial(bs) {
+    let score = 0;
+    for (let z = 0; z < SIZE; z++) for (let x = 0; x < SIZE; x++) { const p = bs[z][x]; if (p) score += (p.color === 'white' ? 1 : -1) * (PIECE_VALUES[p.type] || 0); }
+    return score;
+  }
+
+  // ------- export -------
+  return {
+    SIZE, PIECE_VALUES, BACK_RANK, PROMOTION_TYPES,
+    opposite, isInside, emptyBoard, cloneBoard, startingBoard, homeRow,
+    fullCastling, noCastling, createPosition, clonePosition, positionKey,
+    pieceLetter, squareName, parseSquare, START_FEN, toFen, parseFen, positionErrors,
+    isPathClear, isPseudoLegal, findKing, isSquareAttacked, isKingInCheck, generatePseudoMoves, canCastle, castleTargetX,
+    makeMove, unmakeMove, applyMoveOnClone, findLegalMove, isLegalMove, legalMoves, legalMovesFrom,
+    isInsufficientMaterial, lacksMatingMaterial, lacksWinningMaterial, isMaterialDraw, isThreefoldRepetition, gameStatus, evaluateMaterial
+  };
+});
@@ -0,0 +1,211 @@
+// engines.js
+// 3D Chess Master — pluggable engines for the computer side: the built-in search (ai.js in ai-worker.js) or any UCI engine
+// loads as a plain <script> after engine.js, notation.js, ai.js and variants.js (window.ChessEngines) or via require() in Node
+//
+// every engine is { name, go(request, onResult), stop(), dispose() }
+//   request  { startFen, moves: ['e2e4', ...], fen, variant, variantState, history, depth, timeMs }
+//            (fen = position after moves, variant = a variants.js key with its counters, history = AI.historyKeys)
+//   onResult { move: 'e7e5', score, mate, depth, pv: ['e7e5', ...], nodes } | { error }   once per go, never after stop()
+// one search at a time: go() while another is running abandons the old one
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./engine.js'), require('./notation.js'), require('./ai.js'), require('./variants.js'), root);
+  else root.ChessEngines = factory(root.ChessEngine, root.ChessNotation, root.ChessAI, root.ChessVariants, root);
+})(typeof self !== 'undefined' ? self : this, (Engine, Notation, AI, Variants, root) => {
+  // ------- CONFIG -------
+  const BUILTIN_NAME = '3D Chess Master AI';
+  const MIN_MOVETIME = 50; // ms; engines answer `go movetime 0` unpredictably
+  // what a fresh UCI engine plays; variants.js lists what each variant changes
+  const UCI_DEFAULTS = { UCI_Chess960: 'false', UCI_Variant: 'chess' };
+
+  // ------- BUILT-IN ENGINE -------
+  // searches in a worker; without one (file:// pages) on the main thread, which freezes the page like the old AI
+  function createBuiltinEngine({ workerUrl = 'ai-worker.js', WorkerImpl = root.Worker } = {}) {
+    let worker = null, workerFailed = !WorkerImpl, current = null, nextId = 0;
+
+    const finish = (job, data) => {
+      if (current !== job) return;
+      current = null;
+      if (data.type === 'error') { job.onResult({ error: data.message }); return; }
+      job.onResult({ move: data.move && Notation.toUci(data.move), score: data.score, depth: data.depth, pv: (data.pv || []).map(Notation.toUci), nodes: data.nodes });
+    };
+
+    const getWorker = () => {
+      if (worker || workerFailed) return worker;
+      try { worker = new WorkerImpl(workerUrl); } catch (err) { workerFailed = true; return null; }
+      worker.onmessage = e => { if (current && e.data && e.data.id === current.id) finish(current, e.data); };
+      worker.onerror = e => {
+        if (e.preventDefault) e.preventDefault();
+        worker.terminate(); worker = null; workerFailed = true;
+        if (current) searchOnMainThread(current);
+      };
+      return worker;
+    };
+
+    const searchOnMainThread = (job) => {
+      // give the "thinking…" status a chance to paint first
+      setTimeout(() => {
+        if (current !== job) return;
+        const { fen, variant, variantState, depth, timeMs, history } = job.request;
+        const pos = Variants.attach(Engine.parseFen(fen), variant, variantState);
+        try { finish(job, { type: 'result', ...AI.search(pos, { depth, timeMs, history }) }); }
+        catch (err) { finish(job, { type: 'error', message: err.message }); }
+      }, 30);
+    };
+
+    const engine = {
+      name: BUILTIN_NAME,
+      go(request, onResult) {
+        if (current) engine.stop();
+        const job = current = { id: ++nextId, request, onResult };
+        const w = getWorker();
+        if (w) w.postMessage({ type: 'search', id: job.id, fen: request.fen, variant: request.variant, variantState: request.variantState, history: request.history, depth: request.depth, timeMs: request.timeMs });
+        else searchOnMainThread(job);
+      },
+      // the search never yields to read a message, so stop it by ending the worker; the next go() starts a fresh one
+      stop() {
+        if (!current) return;
+        current = null;
+        if (worker) { worker.terminate(); worker = null; }
+      },
+      dispose() { engine.stop(); }
+    };
+    return engine;
+  }
+
+  // ------- UCI PARSING -------
+  // 'info depth 12 seldepth 18 score cp 31 nodes 80312 pv e2e4 e7e5' -> { depth, score, mate, nodes, multipv, pv }, null for other lines
+  function parseInfo(line) {
+    const t = String(line).trim().split(/\s+/);
+    if (t[0] !== 'info') return null;
+    const info = {};
+    for (let i = 1; i < t.length; i++) {
+      switch (t[i]) {
+        case 'depth': info.depth = Number(t[++i]); break;
+        case 'nodes': info.nodes = Number(t[++i]); break;
+        case 'multipv': info.multipv = Number(t[++i]); break;
+        case 'score': {
+          const kind = t[++i], value = Number(t[++i]);
+          if (kind === 'cp') info.score = value;
+          else if (kind === 'mate') info.mate = value;
+          if (t[i + 1] === 'lowerbound' || t[i + 1] === 'upperbound') info.bound = t[++i];
+          break;
+        }
+        case 'pv': info.pv = t.slice(i + 1); i = t.length; break;
+        case 'string': i = t.length; break; // free text to the end of the line
+      }
+    }
+    return info;
+  }
+
+  // 'bestmove e2e4 ponder e7e5' -> 'e2e4'; null when the engine has no move; undefined for other lines
+  function parseBestMove(line) {
+    const m = /^bestmove\s+(\S+)/.exec(String(line).trim());
+    if (!m) return undefined;
+    return m[1] === '(none)' || m[1] === '0000' ? null : m[1];
+  }
+
+  // ------- UCI CHANNELS -------
+  // a channel carries UCI lines both ways: { send(line), close() }, calling onOpen() once and onClose(reason) if it dies
+  const splitLines = (data, onLine) => String(data).split(/\r?\n/).forEach(line => { if (line.trim()) onLine(line.trim()); });
+
+  // a local engine behind server/uci-bridge.js
+  function webSocketChannel(url, { onOpen, onLine, onClose }, WebSocketImpl = root.WebSocket) {
+    const ws = new WebSocketImpl(url);
+    let closed = false;
+    // a refused connection may report onerror, onclose or both
+    const lost = () => { if (!closed) { closed = true; onClose(`No UCI engine at ${url} — is server/uci-bridge.js running?`); } };
+    ws.onopen = onOpen;
+    ws.onmessage = e => splitLines(e.data, onLine);
+    ws.onclose = lost;
+    ws.onerror = lost;
+    return { send: line => ws.send(line), close() { closed = true; ws.close(); } };
+  }
+
+  // a WASM engine build (stockfish.js and friends) that speaks UCI over postMessage
+  function workerChannel(url, { onOpen, onLine, onClose }, WorkerImpl = root.Worker) {
+    const worker = new WorkerImpl(url);
+    worker.onmessage = e => splitLines(e.data, onLine);
+    worker.onerror = e => { if (e.preventDefault) e.preventDefault(); onClose(`UCI engine worker ${url} failed to load`); };
+    setTimeout(onOpen, 0); // workers queue messages until they're up
+    return { send: line => worker.postMessage(line), close: () => worker.terminate() };
+  }
+
+  // ------- UCI ENGINE -------
+  // connects on the first go(): uci -> uciok, isready -> readyok, then per search `position fen … moves …` / `go movetime …`
+  // (after `setoption` for any variant option that changed since the last search; castles come as king-takes-rook in Chess960)
+  // stop() sends `stop`; the engine still answers with a bestmove, which is swallowed before the next search starts
+  function createUciEngine({ transport = 'websocket', url, name = 'UCI engine' }, Impl) {
+    let channel = null, ready = false, busy = false, current = null, queued = null, engineName = name, options = { ...UCI_DEFAULTS };
+
+    const fail = (reason) => {
+      channel = null; ready = false; busy = false;
+      const job = queued || current;
+      current = queued = null;
+      if (job && !job.stopped) job.onResult({ error: reason });
+    };
+
+    const connect = () => {
+      const handlers = { onOpen: () => send('uci'), onLine, onClose: fail };
+      options = { ...UCI_DEFAULTS };
+      try { channel = (transport === 'worker' ? workerChannel : webSocketChannel)(url, handlers, Impl); }
+      catch (err) { fail(`Can't open UCI engine at ${url}: ${err.message}`); }
+    };
+
+    const send = line => { if (channel) channel.send(line); };
+
+    function onLine(line) {
+      if (line.startsWith('id name ')) engine.name = engineName = line.slice(8);
+      else if (line === 'uciok') send('isready');
+      else if (line === 'readyok') { ready = true; startQueued(); }
+      else if (line.startsWith('info ')) {
+        // keep the latest main line (multipv 1 when the engine sends several): that's the line the bestmove comes from
+        const info = parseInfo(line);
+        if (current && info && info.pv && (info.multipv || 1) === 1) current.info = info;
+      } else if (line.startsWith('bestmove')) {
+        const job = current;
+        current = null; busy = false;
+        if (job && !job.stopped) {
+          const move = parseBestMove(line), info = job.info || {};
+          job.onResult(move ? { move, score: info.score, mate: info.mate, depth: info.depth, pv: info.pv || [move], nodes: info.nodes } : { error: `${engineName} has no move here` });
+        }
+        startQueued();
+      }
+    }
+
+    function startQueued() {
+      if (!ready || busy || !queued) return;
+      const job = current = queued;
+      queued = null; busy = true;
+      const { startFen, moves, variant, depth, timeMs } = job.request;
+      Object.entries({ ...UCI_DEFAULTS, ...Variants.get(variant).uci }).forEach(([option, value]) => {
+        if (options[option] !== value) { options[option] = value; send(`setoption name ${option} value ${value}`); }
+      });
+      send(`position fen ${startFen}${moves.length ? ` moves ${moves.join(' ')}` : ''}`);
+      send(`go movetime ${Math.max(MIN_MOVETIME, Math.round(timeMs))}${depth ? ` depth ${depth}` : ''}`);
+    }
+
+    const engine = {
+      name: engineName,
+      go(request, onResult) {
+        engine.stop();
+        queued = { request, onResult };
+        if (!channel) connect();
+        startQueued();
+      },
+      stop() {
+        queued = null;
+        if (current && !current.stopped) { current.stopped = true; send('stop'); }
+      },
+      dispose() {
+        engine.stop();
+        if (channel) { send('quit'); channel.close(); }
+        channel = null; ready = false; busy = false; current = null;
+      }
+    };
+    return engine;
+  }
+
+  // ------- export -------
+  return { BUILTIN_NAME, createBuiltinEngine, createUciEngine, parseInfo, parseBestMove };
+});
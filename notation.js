@@ -0,0 +1,144 @@
+// notation.js
+// 3D Chess Master — SAN moves and PGN import/export on top of engine.js
+// loads as a plain <script> after engine.js (window.ChessNotation) or via require() in Node
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./engine.js'));
+  else root.ChessNotation = factory(root.ChessEngine);
+})(typeof self !== 'undefined' ? self : this, (Engine) => {
+  const SAN_LETTERS = { knight: 'N', bishop: 'B', rook: 'R', queen: 'Q', king: 'K' };
+  const LETTER_TYPES = { N: 'knight', B: 'bishop', R: 'rook', Q: 'queen', K: 'king' };
+  const RESULTS = ['1-0', '0-1', '1/2-1/2', '*'];
+
+  // ------- SAN -------
+  // move must be legal in pos (as returned by Engine.legalMoves / findLegalMove); pos is left unchanged
+  function toSan(pos, move) {
+    const piece = pos.board[move.fromZ][move.fromX];
+    let san;
+    if (move.castle) {
+      san = move.castle === 'king' ? 'O-O' : 'O-O-O';
+    } else {
+      const isCapture = !!pos.board[move.toZ][move.toX] || !!move.enPassant;
+      const dest = Engine.squareName(move.toX, move.toZ);
+      if (piece.type === 'pawn') {
+        san = (isCapture ? Engine.squareName(move.fromX, move.fromZ)[0] + 'x' : '') + dest;
+        if (move.promotion) san += '=' + SAN_LETTERS[move.promotion];
+      } else {
+        san = SAN_LETTERS[piece.type] + disambiguation(pos, move, piece) + (isCapture ? 'x' : '') + dest;
+      }
+    }
+    const undo = Engine.makeMove(pos, move);
+    if (Engine.isKingInCheck(pos.board, pos.turn)) san += Engine.legalMoves(pos).length ? '+' : '#';
+    Engine.unmakeMove(pos, undo);
+    return san;
+  }
+
+  // file if that tells the candidates apart, else rank, else both
+  function disambiguation(pos, move, piece) {
+    const rivals = Engine.legalMoves(pos).filter(m => (m.fromX !== move.fromX || m.fromZ !== move.fromZ) &&
+      m.toX === move.toX && m.toZ === move.toZ && pos.board[m.fromZ][m.fromX].type === piece.type);
+    if (!rivals.length) return '';
+    const from = Engine.squareName(move.fromX, move.fromZ);
+    if (rivals.every(m => m.fromX !== move.fromX)) return from[0];
+    if (rivals.every(m => m.fromZ !== move.fromZ)) return from[1];
+    return from;
+  }
+
+  // returns the legal move the SAN string names, or null (unknown, illegal or ambiguous)
+  function parseSan(pos, san) {
+    const clean = String(san).trim().replace(/[+#!?]+$/, '').replace(/0/g, 'O');
+    const moves = Engine.legalMoves(pos);
+    if (clean === 'O-O' || clean === 'O-O-O') return moves.find(m => m.castle === (clean === 'O-O' ? 'king' : 'queen')) || null;
+
+    const m = /^([NBRQK])?([a-h])?([1-8])?x?([a-h][1-8])(?:=?([NBRQ]))?$/.exec(clean);
+    if (!m) return null;
+    const type = m[1] ? LETTER_TYPES[m[1]] : 'pawn';
+    const to = Engine.parseSquare(m[4]);
+    const fromFile = m[2] ? m[2].charCodeAt(0) - 97 : null;
+    const fromRow = m[3] ? Engine.SIZE - Number(m[3]) : null;
+    const promotion = m[5] ? LETTER_TYPES[m[5]] : null;
+    const hits = moves.filter(mv => !mv.castle && pos.board[mv.fromZ][mv.fromX].type === type && mv.toX === to.x && mv.toZ === to.z &&
+      (fromFile === null || mv.fromX === fromFile) && (fromRow === null || mv.fromZ === fromRow) &&
+      (mv.promotion || null) === (mv.promotion ? promotion || 'queen' : null));
+    return hits.length === 1 ? hits[0] : null;
+  }
+
+  // ------- UCI -------
+  // coordinate moves as engines and save files use them: 'e2e4', 'e7e8q'; castling is the king's two-square step
+  // { chess960: true } writes castles as king-takes-rook (e1h1), the way UCI engines expect them in Chess960 mode
+  function toUci(move, { chess960 = false } = {}) {
+    const toX = chess960 && move.castle ? move.rookX : move.toX;
+    return Engine.squareName(move.fromX, move.fromZ) + Engine.squareName(toX, move.toZ) + (move.promotion ? SAN_LETTERS[move.promotion].toLowerCase() : '');
+  }
+
+  // returns the legal move or null; castles are read either way
+  function parseUci(pos, text) {
+    const m = /^([a-h][1-8])([a-h][1-8])([nbrq])?$/.exec(String(text).trim().toLowerCase());
+    if (!m) return null;
+    const from = Engine.parseSquare(m[1]), to = Engine.parseSquare(m[2]);
+    return Engine.findLegalMove(pos, { fromX: from.x, fromZ: from.z, toX: to.x, toZ: to.z, promotion: m[3] ? LETTER_TYPES[m[3].toUpperCase()] : null }) ||
+      Engine.legalMovesFrom(pos, from.x, from.z).find(mv => mv.castle && mv.rookX === to.x && mv.toZ === to.z) || null;
+  }
+
+  // ------- PGN -------
+  function pgnDate(d = new Date()) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${d.getFullYear()}.${pad(d.getMonth() + 1)}.${pad(d.getDate())}`;
+  }
+
+  // game = { tags: { White, Black, ... }, startFen, sans: ['e4', 'e5', ...], result }
+  function toPgn({ tags = {}, startFen = Engine.START_FEN, sans = [], result = '*' }) {
+    const all = { Event: 'Casual Game', Site: '3D Chess Master', Date: pgnDate(), Round: '-', White: 'White', Black: 'Black', Result: result, ...tags };
+    all.Result = result;
+    delete all.SetUp; delete all.FEN;
+    if (startFen !== Engine.START_FEN) { all.SetUp = '1'; all.FEN = startFen; }
+    const header = Object.keys(all).map(k => `[${k} "${String(all[k]).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"]`).join('\n');
+
+    // move numbers follow the start position, which may have black to move
+    const start = Engine.parseFen(startFen);
+    let number = start.fullmove, white = start.turn === 'white';
+    const tokens = [];
+    sans.forEach((san, i) => {
+      if (white) tokens.push(`${number}.`);
+      else if (i === 0) tokens.push(`${number}...`);
+      tokens.push(san);
+      if (!white) number++;
+      white = !white;
+    });
+    tokens.push(result);
+
+    // wrap the movetext at 80 columns like most PGN writers
+    const lines = [];
+    let line = '';
+    tokens.forEach(t => { if (line && line.length + 1 + t.length > 80) { lines.push(line); line = t; } else line = line ? `${line} ${t}` : t; });
+    if (line) lines.push(line);
+    return `${header}\n\n${lines.join('\n')}\n`;
+  }
+
+  // reads the first game of a PGN text: { tags, startFen, sans, result }. Comments, variations and
+  // NAGs are skipped; the moves are returned as written, check them with parseSan while replaying.
+  function parsePgn(text) {
+    const tags = {};
+    const body = String(text).replace(/^\s*\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]\s*$/gm, (_, k, v) => { tags[k] = v.replace(/\\(.)/g, '$1'); return ''; });
+    const movetext = body
+      .replace(/\{[^}]*\}/g, ' ')
+      .replace(/;[^\n]*/g, ' ');
+    // drop (nested) variations
+    let flat = '', depth = 0;
+    for (const ch of movetext) { if (ch === '(') depth++; else if (ch === ')') depth = Math.max(0, depth - 1); else if (!depth) flat += ch; }
+
+    const sans = [];
+    let result = tags.Result && RESULTS.includes(tags.Result) ? tags.Result : '*';
+    for (const raw of flat.split(/\s+/)) {
+      const tok = raw.replace(/^\d+\.(\.\.)?/, '');
+      if (!tok || /^\$\d+$/.test(tok)) continue;
+      if (RESULTS.includes(tok)) { result = tok; break; }
+      sans.push(tok);
+    }
+    if (!sans.length && !Object.keys(tags).length) throw new Error('Invalid PGN: no tags or moves found');
+    return { tags, startFen: tags.FEN || Engine.START_FEN, sans, result };
+  }
+
+  // ------- export -------
+  return { toSan, parseSan, toUci, parseUci, pgnDate, toPgn, parsePgn, RESULTS };
+});
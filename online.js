@@ -0,0 +1,62 @@
+// online.js
+// 3D Chess Master — client side of online play: a self-reconnecting JSON WebSocket to server/relay.js
+// loads as a plain <script> (window.ChessOnline); the message protocol is described at the top of server/relay.js
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(root);
+  else root.ChessOnline = factory(root);
+})(typeof self !== 'undefined' ? self : this, (root) => {
+  // ------- CONFIG -------
+  const RECONNECT_DELAYS = [500, 1000, 2000, 5000, 10000]; // ms, the last one repeats
+  const DEFAULT_PORT = 8080;
+
+  // the relay also serves the app, so a served page talks to its own host; ?server=ws://... overrides
+  function defaultServerUrl(location = root.location) {
+    const param = location && /[?&]server=([^&]+)/.exec(location.search || '');
+    if (param) return decodeURIComponent(param[1]);
+    if (location && /^https?:$/.test(location.protocol) && location.host) return `${location.protocol === 'https:' ? 'wss' : 'ws'}://${location.host}`;
+    return `ws://localhost:${DEFAULT_PORT}`;
+  }
+
+  // room codes are typed by hand: ignore case, spaces and dashes
+  function normalizeRoomCode(text) { return String(text || '').toUpperCase().replace(/[^A-Z0-9]/g, ''); }
+
+  // ------- CONNECTION -------
+  // handlers: onOpen() after every (re)connect, onMessage(obj), onStatus('connecting' | 'connected' | 'reconnecting')
+  // returns { send(obj) -> false when not connected, close() }
+  function createConnection(url, { onOpen, onMessage, onStatus }, WebSocketImpl = root.WebSocket) {
+    let ws = null, closed = false, attempt = 0, timer = null;
+    const open = () => {
+      try { ws = new WebSocketImpl(url); } catch (err) { retry(); return; }
+      ws.onopen = () => { attempt = 0; onStatus('connected'); onOpen(); };
+      ws.onmessage = (e) => {
+        let msg;
+        try { msg = JSON.parse(e.data); } catch (err) { return; }
+        if (msg && typeof msg === 'object') onMessage(msg);
+      };
+      ws.onclose = () => { ws = null; retry(); };
+      ws.onerror = () => {}; // onclose follows
+    };
+    const retry = () => {
+      if (closed) return;
+      onStatus('reconnecting');
+      timer = setTimeout(open, RECONNECT_DELAYS[Math.min(attempt++, RECONNECT_DELAYS.length - 1)]);
+    };
+    onStatus('connecting');
+    open();
+    return {
+      send(msg) {
+        if (!ws || ws.readyState !== 1) return false;
+        ws.send(JSON.stringify(msg));
+        return true;
+      },
+      close() {
+        closed = true; clearTimeout(timer);
+        if (ws) { ws.onclose = null; ws.close(); ws = null; }
+      }
+    };
+  }
+
+  // ------- export -------
+  return { defaultServerUrl, normalizeRoomCode, createConnection };
+});
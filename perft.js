@@ -0,0 +1,111 @@
+// perft.js
+// 3D Chess Master — move generator self-test: perft node counts, a divide per root move, and a search speed benchmark
+// loads as a plain <script> after engine.js, notation.js and ai.js (window.ChessPerft) or via require() in Node
+//
+// browser console:  ChessPerft.selfTest()   ChessPerft.divide(fen, 3)   ChessPerft.bench()
+// shell:            node perft.js           node perft.js "<fen>" 3     node perft.js --bench
+// perft counts the positions exactly `depth` plies ahead; any move generation bug (castling rights, en passant,
+// promotions, pins) changes the count, so SUITE's expected numbers prove the generator right or wrong
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./engine.js'), require('./notation.js'), require('./ai.js'));
+    if (require.main === module) module.exports.main(process.argv.slice(2));
+  } else root.ChessPerft = factory(root.ChessEngine, root.ChessNotation, root.ChessAI);
+})(typeof self !== 'undefined' ? self : this, (Engine, Notation, AI) => {
+  // ------- CONFIG -------
+  const MAX_NODES = 500000; // selfTest skips depths expected to count more than this (a few seconds in all)
+  const BENCH_DEPTH = 5; // the Hard level's depth, fixed so every run searches the same tree and only the speed changes
+  const now = () => (typeof performance !== 'undefined' ? performance : Date).now();
+
+  // perft counts per depth (counts[0] = depth 1) for the usual test positions, Chess960 ones in X-FEN
+  const SUITE = [
+    { name: 'Start position', fen: Engine.START_FEN, counts: [20, 400, 8902, 197281, 4865609] },
+    { name: 'Kiwipete', fen: 'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1', counts: [48, 2039, 97862, 4085603] },
+    { name: 'Rook endgame', fen: '8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1', counts: [14, 191, 2812, 43238, 674624] },
+    { name: 'Promotions', fen: 'r3k2r/Pppp1ppp/1b3nbN/nP6/BBP1P3/q4N2/Pp1P2PP/R2Q1RK1 w kq - 0 1', counts: [6, 264, 9467, 422333] },
+    { name: 'Discovered checks', fen: 'rnbq1k1r/pp1Pbppp/2p5/8/2B5/8/PPP1NnPP/RNBQK2R w KQ - 1 8', counts: [44, 1486, 62379, 2103487] },
+    { name: 'Chess960 #1', fen: 'bqnb1rkr/pp3ppp/3ppn2/2p5/5P2/P2P4/NPP1P1PP/BQ1BNRKR w HFhf - 2 9', counts: [21, 528, 12189, 326672] },
+    { name: 'Chess960 #2', fen: '2nnrbkr/p1qppppp/8/1ppb4/6PP/3PP3/PPP2P2/BQNNRBKR w HEhe - 1 9', counts: [21, 807, 18002, 667366] }
+  ];
+
+  const toPosition = pos => (typeof pos === 'string' ? Engine.parseFen(pos) : Engine.clonePosition(pos));
+
+  // ------- PERFT -------
+  // legal moves at the last ply are counted, not played
+  function count(pos, depth) {
+    const moves = Engine.legalMoves(pos);
+    if (depth === 1) return moves.length;
+    let nodes = 0;
+    for (const m of moves) {
+      const undo = Engine.makeMove(pos, m);
+      nodes += count(pos, depth - 1);
+      Engine.unmakeMove(pos, undo);
+    }
+    return nodes;
+  }
+
+  // pos: a FEN or a position (left as it was)
+  function perft(pos, depth) { return depth < 1 ? 1 : count(toPosition(pos), depth); }
+
+  // perft split by root move, [{ move: 'e2e4', nodes }] in UCI order, to diff against another engine's divide
+  function divide(pos, depth) {
+    const p = toPosition(pos);
+    return Engine.legalMoves(p).map(m => {
+      const undo = Engine.makeMove(p, m);
+      const nodes = depth > 1 ? count(p, depth - 1) : 1;
+      Engine.unmakeMove(p, undo);
+      return { move: Notation.toUci(m), nodes };
+    }).sort((a, b) => (a.move < b.move ? -1 : a.move > b.move ? 1 : 0));
+  }
+
+  // ------- SELF-TEST -------
+  // every SUITE position at every depth up to maxNodes; { ok, results: [{ name, depth, expected, nodes, ms, ok }], nps }
+  function selfTest({ maxNodes = MAX_NODES, log = console.log } = {}) {
+    const results = [];
+    SUITE.forEach(({ name, fen, counts }) => counts.forEach((expected, i) => {
+      if (expected > maxNodes) return;
+      const started = now(), nodes = perft(fen, i + 1), ms = now() - started;
+      const r = { name, depth: i + 1, expected, nodes, ms, ok: nodes === expected };
+      results.push(r);
+      log(`${r.ok ? 'ok  ' : 'FAIL'} ${name} depth ${r.depth}: ${nodes}${r.ok ? '' : ` (expected ${expected})`} in ${Math.round(ms)} ms`);
+    }));
+    const nodes = results.reduce((sum, r) => sum + r.nodes, 0), ms = results.reduce((sum, r) => sum + r.ms, 0);
+    const failed = results.filter(r => !r.ok).length, nps = Math.round(nodes / Math.max(ms, 1) * 1000);
+    log(`${failed ? `${failed} of ${results.length} FAILED` : `all ${results.length} passed`} — ${nodes} nodes, ${nps} nodes/s`);
+    return { ok: !failed, results, nps };
+  }
+
+  // ------- BENCHMARK -------
+  // ai.js's search (the one behind makeBestAIMove) to a fixed depth on a few SUITE positions;
+  // { results: [{ name, nodes, ms, nps }], nps } — compare nps between builds
+  function bench({ depth = BENCH_DEPTH, log = console.log } = {}) {
+    const results = SUITE.slice(0, 5).map(({ name, fen }) => {
+      const started = now(), { nodes } = AI.search(Engine.parseFen(fen), { depth, timeMs: Infinity }), ms = now() - started;
+      const r = { name, nodes, ms, nps: Math.round(nodes / Math.max(ms, 1) * 1000) };
+      log(`${name} depth ${depth}: ${nodes} nodes in ${Math.round(ms)} ms, ${r.nps} nodes/s`);
+      return r;
+    });
+    const nodes = results.reduce((sum, r) => sum + r.nodes, 0), ms = results.reduce((sum, r) => sum + r.ms, 0);
+    const nps = Math.round(nodes / Math.max(ms, 1) * 1000);
+    log(`search: ${nodes} nodes, ${nps} nodes/s`);
+    return { results, nps };
+  }
+
+  // ------- COMMAND LINE -------
+  // exit code 1 when the self-test fails or the arguments don't make sense
+  function main(args) {
+    if (args[0] === '--bench') { bench(); return; }
+    if (!args.length) { if (!selfTest().ok) process.exitCode = 1; return; }
+    const depth = Number(args[1]);
+    if (!Number.isInteger(depth) || depth < 1) { console.error('usage: node perft.js ["<fen>" <depth>] | --bench'); process.exitCode = 1; return; }
+    try {
+      const started = now(), split = divide(args[0], depth);
+      split.forEach(({ move, nodes }) => console.log(`${move}: ${nodes}`));
+      console.log(`\n${split.length} moves, ${split.reduce((sum, d) => sum + d.nodes, 0)} nodes in ${Math.round(now() - started)} ms`);
+    } catch (err) { console.error(err.message); process.exitCode = 1; }
+  }
+
+  // ------- export -------
+  return { SUITE, perft, divide, selfTest, bench, main };
+});
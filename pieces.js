@@ -0,0 +1,105 @@
+// pieces.js
+// 3D Chess Master — Staunton-style piece geometry, built procedurally: lathe profiles for the round pieces,
+// an extruded head for the knight and a cross on the king; no model files to load
+// loads as a plain <script> (window.ChessPieces); createPieceGeometries(THREE) returns { pawn, knight, bishop, rook, queen, king }
+// every geometry has its base BASE_OFFSET below the mesh origin, so a mesh at y = BASE_OFFSET + board top stands on the board
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.ChessPieces = factory();
+})(typeof self !== 'undefined' ? self : this, () => {
+  // ------- CONFIG -------
+  const BASE_OFFSET = 0.41;
+  const SEGMENTS = 32;
+
+  // ------- PROFILES -------
+  // [radius, height] pairs from the bottom centre up to the top centre
+  const arc = (cx, cy, r, fromDeg, toDeg, steps = 8) => Array.from({ length: steps + 1 }, (_, i) => {
+    const a = (fromDeg + (toDeg - fromDeg) * i / steps) * Math.PI / 180;
+    return [Math.max(0, cx + r * Math.cos(a)), cy + r * Math.sin(a)];
+  });
+
+  // the foot every piece shares: a wide disc, a bevel and a fillet
+  const foot = (r) => [[0, 0], [r, 0], [r, 0.05], [r - 0.03, 0.08], [r - 0.03, 0.1], [r - 0.08, 0.14]];
+
+  const PROFILES = {
+    pawn: [
+      ...foot(0.3), [0.13, 0.3], [0.11, 0.35], [0.17, 0.37], [0.17, 0.4], [0.09, 0.43],
+      ...arc(0, 0.52, 0.11, -60, 90)
+    ],
+    rook: [
+      ...foot(0.34), [0.21, 0.48], [0.26, 0.53], [0.26, 0.74], [0.2, 0.74], [0.2, 0.67], [0, 0.67]
+    ],
+    bishop: [
+      ...foot(0.32), [0.11, 0.52], [0.18, 0.55], [0.18, 0.58], [0.1, 0.61],
+      [0.15, 0.67], [0.16, 0.73], [0.13, 0.8], [0.07, 0.85], ...arc(0, 0.88, 0.04, -50, 90, 5)
+    ],
+    queen: [
+      ...foot(0.36), [0.13, 0.62], [0.22, 0.66], [0.22, 0.69], [0.12, 0.72],
+      [0.16, 0.84], [0.24, 0.93], [0.2, 0.95], [0.12, 0.97], ...arc(0, 1.03, 0.06, -70, 90, 6)
+    ],
+    king: [
+      ...foot(0.36), [0.14, 0.66], [0.23, 0.7], [0.23, 0.73], [0.13, 0.76],
+      [0.17, 0.88], [0.22, 0.96], [0.16, 0.98], [0.08, 1.0], [0.05, 1.0], [0, 1.0]
+    ],
+    // the knight only turns its plinth; the head is extruded on top
+    knight: [...foot(0.34), [0.2, 0.2], [0.2, 0.22], [0, 0.22]]
+  };
+
+  // horse head seen from the side, facing +x (x forward, y up), sitting on the plinth
+  const KNIGHT_HEAD = [
+    [-0.2, 0.2], [0.2, 0.2], [0.14, 0.36], [0.27, 0.5], [0.33, 0.58], [0.31, 0.66], [0.13, 0.77],
+    [0.07, 0.9], [0.01, 0.82], [-0.09, 0.8], [-0.19, 0.64], [-0.24, 0.42]
+  ];
+
+  // ------- BUILDERS -------
+  function lathe(THREE, profile) {
+    return new THREE.LatheGeometry(profile.map(([r, y]) => new THREE.Vector2(r, y)), SEGMENTS);
+  }
+
+  // concatenates geometries into one non-indexed position + normal geometry (core three.js has no merge)
+  function merge(THREE, parts) {
+    const flat = parts.map(g => (g.index ? g.toNonIndexed() : g));
+    const size = flat.reduce((n, g) => n + g.attributes.position.array.length, 0);
+    const positions = new Float32Array(size), normals = new Float32Array(size);
+    let offset = 0;
+    flat.forEach(g => {
+      positions.set(g.attributes.position.array, offset);
+      normals.set(g.attributes.normal.array, offset);
+      offset += g.attributes.position.array.length;
+    });
+    const out = new THREE.BufferGeometry();
+    out.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    out.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+    return out;
+  }
+
+  function knight(THREE) {
+    const shape = new THREE.Shape();
+    KNIGHT_HEAD.forEach(([x, y], i) => (i ? shape.lineTo(x, y) : shape.moveTo(x, y)));
+    const head = new THREE.ExtrudeGeometry(shape, { depth: 0.2, bevelEnabled: true, bevelThickness: 0.03, bevelSize: 0.03, bevelSegments: 2 });
+    // centre the slab on the axis and turn it to face -z, the way white's pieces advance
+    head.translate(0, 0, -0.1);
+    head.rotateY(Math.PI / 2);
+    return merge(THREE, [lathe(THREE, PROFILES.knight), head]);
+  }
+
+  function king(THREE) {
+    // the cross: an upright and a bar, as boxes
+    const upright = new THREE.BoxGeometry(0.07, 0.22, 0.07); upright.translate(0, 1.1, 0);
+    const bar = new THREE.BoxGeometry(0.2, 0.06, 0.07); bar.translate(0, 1.13, 0);
+    return merge(THREE, [lathe(THREE, PROFILES.king), upright, bar]);
+  }
+
+  function createPieceGeometries(THREE) {
+    const geos = {
+      pawn: lathe(THREE, PROFILES.pawn), rook: lathe(THREE, PROFILES.rook), bishop: lathe(THREE, PROFILES.bishop),
+      queen: lathe(THREE, PROFILES.queen), knight: knight(THREE), king: king(THREE)
+    };
+    Object.values(geos).forEach(g => g.translate(0, -BASE_OFFSET, 0));
+    return geos;
+  }
+
+  // ------- export -------
+  return { BASE_OFFSET, PROFILES, createPieceGeometries };
+});
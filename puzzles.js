@@ -0,0 +1,99 @@
+// puzzles.js
+// 3D Chess Master — tactics trainer: the puzzle set, move checking and the solver's rating, streak and progress
+// loads as a plain <script> after engine.js and notation.js (window.ChessPuzzles) or via require() in Node;
+// storage functions take a localStorage-like object, like saves.js
+//
+// puzzles.json is a list of { id, theme, rating, fen, moves: ['d1d8', ...] }: the side to move in fen solves,
+// moves is the solution in UCI, the solver's moves and the opponent's replies taking turns
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./engine.js'), require('./notation.js'), root);
+  else root.ChessPuzzles = factory(root.ChessEngine, root.ChessNotation, root);
+})(typeof self !== 'undefined' ? self : this, (Engine, Notation, root) => {
+  // ------- CONFIG -------
+  const PUZZLES_URL = 'puzzles.json';
+  const PROGRESS_KEY = '3dchess.puzzles';
+  const START_RATING = 800;
+  const K_FACTOR = 32; // Elo step: how far one result moves the rating
+
+  // ------- PUZZLE SET -------
+  // checks every puzzle's solution on the board; throws on the first bad one
+  function parsePuzzleSet(data) {
+    if (!Array.isArray(data)) throw new Error('Puzzle set must be a list');
+    return data.map((p, i) => {
+      const name = p && p.id ? `Puzzle ${p.id}` : `Puzzle ${i + 1}`;
+      if (!p || !p.id || !Array.isArray(p.moves) || !p.moves.length) throw new Error(`${name} needs an id and solution moves`);
+      const pos = Engine.parseFen(p.fen), solver = pos.turn;
+      p.moves.forEach(text => {
+        const m = Notation.parseUci(pos, text);
+        if (!m) throw new Error(`${name} has an illegal move ${text}`);
+        Engine.makeMove(pos, m);
+      });
+      return { id: String(p.id), theme: p.theme || 'Tactic', rating: Number(p.rating) || START_RATING, fen: p.fen, moves: p.moves.slice(), solver };
+    });
+  }
+
+  // fetches and checks the bundled set; resolves to the puzzle list
+  function loadPuzzles(url = PUZZLES_URL, fetchImpl = root.fetch) {
+    if (!fetchImpl) return Promise.reject(new Error('No fetch here to load the puzzles'));
+    return fetchImpl(url)
+      .then(res => { if (!res.ok) throw new Error(`Can't load ${url} (${res.status})`); return res.json(); })
+      .then(parsePuzzleSet);
+  }
+
+  // ------- SOLVING -------
+  // the move played at step ply of puzzle in pos: 'wrong', 'correct' (the line goes on) or 'solved'
+  // any checkmate also solves it, even when the solution mates another way
+  function checkMove(puzzle, ply, pos, move) {
+    if (Notation.toUci(move) === puzzle.moves[ply]) return ply + 1 >= puzzle.moves.length ? 'solved' : 'correct';
+    const after = Engine.clonePosition(pos);
+    Engine.makeMove(after, move);
+    return Engine.gameStatus(after).state === 'checkmate' ? 'solved' : 'wrong';
+  }
+
+  // ------- PROGRESS -------
+  // { rating, streak, bestStreak, solved: [ids], failed: [ids] }; each puzzle is rated once, on the first try
+  function createProgress() { return { rating: START_RATING, streak: 0, bestStreak: 0, solved: [], failed: [] }; }
+
+  function loadProgress(storage) {
+    let saved = null;
+    try { saved = JSON.parse(storage.getItem(PROGRESS_KEY)); } catch (err) { saved = null; }
+    return saved && typeof saved === 'object' ? { ...createProgress(), ...saved } : createProgress();
+  }
+
+  // throws when storage is full or disabled, like saves.js
+  function saveProgress(storage, progress) { storage.setItem(PROGRESS_KEY, JSON.stringify(progress)); }
+
+  // chance of solving a puzzle of this rating, the Elo way
+  const expectedScore = (rating, puzzleRating) => 1 / (1 + Math.pow(10, (puzzleRating - rating) / 400));
+
+  // outcome: 'solved' | 'hinted' (solved after a hint: counts for the streak, not the rating) | 'failed'
+  function recordResult(progress, puzzle, outcome) {
+    const next = { ...progress, solved: progress.solved.slice(), failed: progress.failed.slice() };
+    const rated = next.solved.includes(puzzle.id) || next.failed.includes(puzzle.id);
+    if (outcome === 'failed') {
+      next.streak = 0;
+      if (!rated) { next.failed.push(puzzle.id); next.rating = Math.round(next.rating - K_FACTOR * expectedScore(next.rating, puzzle.rating)); }
+      return next;
+    }
+    next.streak++;
+    next.bestStreak = Math.max(next.bestStreak, next.streak);
+    if (!rated) {
+      next.solved.push(puzzle.id);
+      if (outcome === 'solved') next.rating = Math.round(next.rating + K_FACTOR * (1 - expectedScore(next.rating, puzzle.rating)));
+    }
+    return next;
+  }
+
+  // the puzzle rated closest to the solver among those neither tried nor in `seen` (ids shown already, oldest first);
+  // once there are none, the one after the last seen round the set
+  function nextPuzzle(puzzles, progress, seen = []) {
+    const skip = new Set([...progress.solved, ...progress.failed, ...seen]);
+    const pool = puzzles.filter(p => !skip.has(p.id));
+    if (!pool.length) return puzzles[(puzzles.findIndex(p => p.id === seen[seen.length - 1]) + 1) % puzzles.length] || null;
+    return pool.reduce((best, p) => (Math.abs(p.rating - progress.rating) < Math.abs(best.rating - progress.rating) ? p : best));
+  }
+
+  // ------- export -------
+  return { PUZZLES_URL, START_RATING, parsePuzzleSet, loadPuzzles, checkMove, createProgress, loadProgress, saveProgress, expectedScore, recordResult, nextPuzzle };
+});
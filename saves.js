@@ -0,0 +1,134 @@
+// saves.js
+// 3D Chess Master — versioned save records, the autosave slot and the named saved-games list
+// loads as a plain <script> after engine.js, notation.js and variants.js (window.ChessSaves) or via require() in Node;
+// every storage function takes a localStorage-like object ({ getItem, setItem, removeItem }) so Node can pass its own
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./engine.js'), require('./notation.js'), require('./variants.js'));
+  else root.ChessSaves = factory(root.ChessEngine, root.ChessNotation, root.ChessVariants);
+})(typeof self !== 'undefined' ? self : this, (Engine, Notation, Variants) => {
+  // ------- CONFIG -------
+  const FORMAT_VERSION = 1;
+  const AUTOSAVE_KEY = '3dchess.autosave';
+  const SAVED_KEY = '3dchess.saved';
+  const ONLINE_KEY = '3dchess.online';
+  const PREFS_KEY = '3dchess.prefs';
+
+  // record (version 1):
+  // { version, savedAt, startFen, variant (a variants.js key; older saves have none: standard), moves: ['e2e4', ...],
+  //   clocks: [{ white, black } | null per move], result, tags,
+  //   ai: { white, black, delay, engine?: 'builtin' | 'uci', uci?: { transport, url } } (older saves have no engine: built-in),
+  //   timeControl: { key, baseMs, incrementMs, mode } | null (setting for new games),
+  //   clock: { baseMs, incrementMs, mode, white, black, running } | null (this game's clock, time left when saved) }
+  // Castling rights, en passant and move counters travel inside startFen; everything after it is replayed from `moves`.
+
+  // upgrades for older records: MIGRATIONS[n] turns a version n record into version n + 1
+  const MIGRATIONS = {};
+
+  // ------- RECORDS -------
+  function createRecord({ startFen = Engine.START_FEN, variant = Variants.DEFAULT_VARIANT, moves = [], clocks = [], result = '*', tags = {}, ai = null, timeControl = null, clock = null }) {
+    return {
+      version: FORMAT_VERSION, savedAt: Date.now(), startFen, variant,
+      moves: moves.map(Notation.toUci), clocks: moves.map((m, i) => clocks[i] || null),
+      result, tags, ai: ai || { white: null, black: null, delay: 1000 }, timeControl, clock
+    };
+  }
+
+  // brings a stored record up to FORMAT_VERSION; throws on anything it can't read
+  function migrate(record) {
+    if (!record || typeof record !== 'object' || !Number.isInteger(record.version)) throw new Error('Not a saved game');
+    if (record.version > FORMAT_VERSION) throw new Error('Saved by a newer version of the game');
+    let rec = record;
+    while (rec.version < FORMAT_VERSION) {
+      if (!MIGRATIONS[rec.version]) throw new Error(`Can't read save format version ${rec.version}`);
+      rec = MIGRATIONS[rec.version](rec);
+    }
+    return { variant: Variants.DEFAULT_VARIANT, clocks: [], result: '*', tags: {}, ai: { white: null, black: null, delay: 1000 }, timeControl: null, clock: null, ...rec };
+  }
+
+  // checks the record's moves on a scratch position: { moves, position } (legal move objects, position after the last)
+  function replay(record) {
+    const pos = Variants.attach(Engine.parseFen(record.startFen), record.variant);
+    const moves = record.moves.map((text, i) => {
+      const m = Notation.parseUci(pos, text);
+      if (!m) throw new Error(`Saved game has an illegal move ${i + 1}: ${text}`);
+      Engine.makeMove(pos, m);
+      return m;
+    });
+    return { moves, position: pos };
+  }
+
+  // ------- STORAGE -------
+  function readJson(storage, key, fallback) {
+    const raw = storage.getItem(key);
+    if (raw === null || raw === undefined) return fallback;
+    try { return JSON.parse(raw); } catch (err) { return fallback; }
+  }
+
+  // setItem throws when storage is full or disabled (private browsing); callers report it
+  function writeJson(storage, key, value) { storage.setItem(key, JSON.stringify(value)); }
+
+  function saveAutosave(storage, record) { writeJson(storage, AUTOSAVE_KEY, record); }
+
+  // the autosaved record, or null when there is none or it can't be read any more
+  function loadAutosave(storage) {
+    const rec = readJson(storage, AUTOSAVE_KEY, null);
+    if (!rec) return null;
+    try { return migrate(rec); } catch (err) { return null; }
+  }
+
+  // saved games: [{ id, name, savedAt, record }], newest first
+  function listSaved(storage) {
+    const list = readJson(storage, SAVED_KEY, []);
+    return Array.isArray(list) ? list.filter(e => e && e.id && e.record) : [];
+  }
+
+  function saveNamed(storage, name, record) {
+    const list = listSaved(storage);
+    const entry = { id: `g${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`, name: String(name).trim() || 'Untitled game', savedAt: Date.now(), record };
+    writeJson(storage, SAVED_KEY, [entry, ...list]);
+    return entry;
+  }
+
+  function getSaved(storage, id) {
+    const entry = listSaved(storage).find(e => e.id === id);
+    return entry ? { ...entry, record: migrate(entry.record) } : null;
+  }
+
+  function renameSaved(storage, id, name) {
+    const list = listSaved(storage);
+    const entry = list.find(e => e.id === id); if (!entry) return;
+    entry.name = String(name).trim() || entry.name;
+    writeJson(storage, SAVED_KEY, list);
+  }
+
+  function deleteSaved(storage, id) {
+    writeJson(storage, SAVED_KEY, listSaved(storage).filter(e => e.id !== id));
+  }
+
+  // the online room this browser sits in ({ url, room, token }), so a reload can take the seat back; null clears it
+  function saveOnlineSession(storage, session) {
+    if (session) writeJson(storage, ONLINE_KEY, session);
+    else storage.removeItem(ONLINE_KEY);
+  }
+
+  function loadOnlineSession(storage) {
+    const session = readJson(storage, ONLINE_KEY, null);
+    return session && session.url && session.room && session.token ? session : null;
+  }
+
+  // view settings ({ animations, ... }); whatever is missing keeps the page's default
+  function loadPrefs(storage) {
+    const prefs = readJson(storage, PREFS_KEY, {});
+    return prefs && typeof prefs === 'object' ? prefs : {};
+  }
+
+  function savePrefs(storage, prefs) { writeJson(storage, PREFS_KEY, prefs); }
+
+  // ------- export -------
+  return {
+    FORMAT_VERSION, createRecord, migrate, replay,
+    saveAutosave, loadAutosave, listSaved, saveNamed, getSaved, renameSaved, deleteSaved, saveOnlineSession, loadOnlineSession,
+    loadPrefs, savePrefs
+  };
+});
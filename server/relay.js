@@ -0,0 +1,226 @@
+// server/relay.js
+// 3D Chess Master — reference relay for online games: serves the app and relays moves between two players
+// no dependencies: `node server/relay.js` (PORT=8080 by default), then open http://localhost:8080 in two browsers
+// it listens on 127.0.0.1 unless HOST is set (HOST=0.0.0.0 to play across the network) and serves only the app's own files
+//
+// protocol (JSON text frames)
+//   client -> server
+//     { type: 'create', color: 'white' | 'black' | 'random' }     new room, creator takes a seat
+//     { type: 'join', room, token? }                              take the free seat, or your own seat back with its token
+//     { type: 'move', uci, ply }                                  ply = number of moves played before this one
+//     { type: 'sync' }                                            ask for the room state again
+//     { type: 'takeback-request' } / { type: 'takeback-reply', accept }
+//     { type: 'draw-offer' } / { type: 'draw-accept' } / { type: 'resign' }
+//   server -> client
+//     { type: 'state', room, color, token, startFen, moves, ending, opponentConnected }   after create/join and for resync
+//     { type: 'move', uci, ply }  { type: 'opponent', connected }  { type: 'takeback-request' }
+//     { type: 'takeback-result', accepted }  { type: 'draw-offer' }  { type: 'ending', ending }  { type: 'error', message }
+//   ending = null | { result, reason: 'resign' | 'agreement', color }  (color = who resigned)
+// Moves are checked here with the same engine the page uses, so the room's move list is always a legal game.
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Engine = require('../engine.js');
+const Notation = require('../notation.js');
+const { acceptWebSocket } = require('./websocket.js');
+
+// ------- CONFIG -------
+const ROOT = path.join(__dirname, '..');
+const CODE_CHARS = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789'; // no 0/O or 1/I/L mix-ups when read aloud
+const ROOM_TTL_MS = 10 * 60 * 1000; // rooms with nobody connected are dropped after this
+// everything the page loads; anything else (.git, the server, notes lying around the checkout) is a 404
+const PUBLIC_FILES = new Set([
+  'index.html', 'style.css', 'three.min.js', 'puzzles.json', 'assets/logo.png', 'ai-worker.js',
+  'engine.js', 'notation.js', 'ai.js', 'variants.js', 'book.js', 'perft.js', 'engines.js', 'analysis.js', 'access.js',
+  'pieces.js', 'themes.js', 'clock.js', 'saves.js', 'puzzles.js', 'online.js', 'chess.js'
+]);
+const TYPES = { '.html': 'text/html', '.js': 'text/javascript', '.css': 'text/css', '.json': 'application/json', '.png': 'image/png', '.svg': 'image/svg+xml', '.ico': 'image/x-icon' };
+
+// ------- ROOMS -------
+const other = color => (color === 'white' ? 'black' : 'white');
+
+function createRooms() {
+  const rooms = new Map();
+
+  function newCode() {
+    for (;;) {
+      let code = '';
+      for (let i = 0; i < 5; i++) code += CODE_CHARS[crypto.randomInt(CODE_CHARS.length)];
+      if (!rooms.has(code)) return code;
+    }
+  }
+
+  function createRoom(startFen = Engine.START_FEN) {
+    const room = {
+      code: newCode(), startFen, pos: Engine.parseFen(startFen), moves: [], undos: [], ending: null,
+      seats: { white: null, black: null }, // { token, ws }
+      takeback: null, drawOffer: null, expiry: null
+    };
+    rooms.set(room.code, room);
+    return room;
+  }
+
+  function state(room, color) {
+    const opp = room.seats[other(color)];
+    return { type: 'state', room: room.code, color, token: room.seats[color].token, startFen: room.startFen, moves: room.moves, ending: room.ending, opponentConnected: !!(opp && opp.ws) };
+  }
+
+  function seat(room, color, ws) {
+    const existing = room.seats[color];
+    room.seats[color] = { token: existing ? existing.token : crypto.randomBytes(12).toString('hex'), ws };
+    // the same player back on a new connection: drop the old one (the seat is already handed over)
+    if (existing && existing.ws && existing.ws !== ws) existing.ws.close();
+    clearTimeout(room.expiry);
+    ws.send(state(room, color));
+    const opp = room.seats[other(color)];
+    if (opp && opp.ws) opp.ws.send({ type: 'opponent', connected: true });
+  }
+
+  function leave(room, color) {
+    room.seats[color].ws = null;
+    const opp = room.seats[other(color)];
+    if (opp && opp.ws) opp.ws.send({ type: 'opponent', connected: false });
+    if (!['white', 'black'].some(c => room.seats[c] && room.seats[c].ws)) room.expiry = setTimeout(() => rooms.delete(room.code), ROOM_TTL_MS);
+  }
+
+  // back to the asker's turn: one ply if they moved last, two if the opponent already replied
+  function takebackPlies(room, asker) { return room.pos.turn === asker ? 2 : 1; }
+
+  function broadcast(room, msg) { ['white', 'black'].forEach(c => { const s = room.seats[c]; if (s && s.ws) s.ws.send(msg); }); }
+  function sendState(room) { ['white', 'black'].forEach(c => { const s = room.seats[c]; if (s && s.ws) s.ws.send(state(room, c)); }); }
+
+  // one handler per connection; `client` remembers which room and color it sits in
+  function handle(ws, client, msg) {
+    const error = message => ws.send({ type: 'error', message });
+    // creating or joining another room gives up the seat this connection had
+    if ((msg.type === 'create' || msg.type === 'join') && client.room && client.room.seats[client.color].ws === ws) leave(client.room, client.color);
+    if (msg.type === 'create') {
+      const room = createRoom();
+      const color = msg.color === 'white' || msg.color === 'black' ? msg.color : (crypto.randomInt(2) ? 'white' : 'black');
+      Object.assign(client, { room, color });
+      seat(room, color, ws);
+      return;
+    }
+    if (msg.type === 'join') {
+      const room = rooms.get(String(msg.room || '').toUpperCase());
+      if (!room) return error('No room with that code');
+      const mine = ['white', 'black'].find(c => room.seats[c] && msg.token && room.seats[c].token === msg.token);
+      const free = ['white', 'black'].find(c => !room.seats[c]);
+      const color = mine || free;
+      if (!color) return error('That room is full');
+      Object.assign(client, { room, color });
+      seat(room, color, ws);
+      return;
+    }
+
+    const { room, color } = client;
+    if (!room) return error('Join a room first');
+    const opp = room.seats[other(color)];
+    const toOpponent = m => { if (opp && opp.ws) opp.ws.send(m); };
+
+    switch (msg.type) {
+      case 'sync':
+        ws.send(state(room, color));
+        break;
+      case 'move': {
+        const move = !room.ending && room.pos.turn === color && msg.ply === room.moves.length && Notation.parseUci(room.pos, msg.uci);
+        // anything out of step gets the real state back so the client can resync
+        if (!move) { ws.send(state(room, color)); break; }
+        room.undos.push(Engine.makeMove(room.pos, move));
+        room.moves.push(Notation.toUci(move));
+        room.takeback = null;
+        if (room.drawOffer === other(color)) room.drawOffer = null; // moving declines the offer
+        toOpponent({ type: 'move', uci: room.moves[room.moves.length - 1], ply: msg.ply });
+        break;
+      }
+      case 'takeback-request':
+        // nothing of the asker's to take back yet (e.g. black before their first move), or one already pending
+        if (room.ending || room.takeback || room.moves.length < takebackPlies(room, color)) { ws.send({ type: 'takeback-result', accepted: false }); break; }
+        room.takeback = color;
+        toOpponent({ type: 'takeback-request' });
+        break;
+      case 'takeback-reply': {
+        if (room.takeback !== other(color)) break;
+        const asker = room.takeback;
+        room.takeback = null;
+        if (msg.accept) {
+          for (let i = takebackPlies(room, asker); i > 0; i--) { Engine.unmakeMove(room.pos, room.undos.pop()); room.moves.pop(); }
+          room.drawOffer = null;
+        }
+        const s = room.seats[asker];
+        if (s && s.ws) s.ws.send({ type: 'takeback-result', accepted: !!msg.accept });
+        if (msg.accept) sendState(room);
+        break;
+      }
+      case 'draw-offer':
+        if (room.ending || room.drawOffer) break;
+        room.drawOffer = color;
+        toOpponent({ type: 'draw-offer' });
+        break;
+      case 'draw-accept':
+        if (room.ending || room.drawOffer !== other(color)) break;
+        room.ending = { result: '1/2-1/2', reason: 'agreement', color: null };
+        broadcast(room, { type: 'ending', ending: room.ending });
+        break;
+      case 'resign':
+        if (room.ending) break;
+        room.ending = { result: color === 'white' ? '0-1' : '1-0', reason: 'resign', color };
+        broadcast(room, { type: 'ending', ending: room.ending });
+        break;
+      default:
+        error(`Unknown message type: ${msg.type}`);
+    }
+  }
+
+  return { rooms, handle, leave };
+}
+
+// ------- HTTP: static files from the repo root -------
+function serveStatic(req, res) {
+  let url;
+  // a malformed escape (/%E0%A4%A) would otherwise throw out of the request handler and take every room down with it
+  try { url = decodeURIComponent((req.url || '/').split('?')[0]); } catch (err) { res.writeHead(400, { 'Content-Type': 'text/plain' }); res.end('Bad request'); return; }
+  const name = url === '/' ? 'index.html' : url.slice(1);
+  if (!PUBLIC_FILES.has(name)) { res.writeHead(404, { 'Content-Type': 'text/plain' }); res.end('Not found'); return; }
+  const file = path.join(ROOT, name);
+  fs.readFile(file, (err, data) => {
+    if (err) { res.writeHead(404, { 'Content-Type': 'text/plain' }); res.end('Not found'); return; }
+    res.writeHead(200, { 'Content-Type': TYPES[path.extname(file)] || 'application/octet-stream' });
+    res.end(data);
+  });
+}
+
+function createRelayServer() {
+  const { rooms, handle, leave } = createRooms();
+  const server = http.createServer(serveStatic);
+  server.on('upgrade', (req, socket) => {
+    const client = { room: null, color: null };
+    const socketWs = acceptWebSocket(req, socket, {
+      onMessage(text) {
+        let msg;
+        try { msg = JSON.parse(text); } catch (err) { ws.send({ type: 'error', message: 'Messages must be JSON' }); return; }
+        if (msg && typeof msg === 'object') handle(ws, client, msg);
+      },
+      onClose() {
+        // only the connection that still holds the seat frees it (a reconnect may have replaced it already)
+        if (client.room && client.room.seats[client.color] && client.room.seats[client.color].ws === ws) leave(client.room, client.color);
+      }
+    });
+    if (!socketWs) return;
+    // the rooms speak JSON objects
+    const ws = { send: msg => socketWs.send(JSON.stringify(msg)), close: () => socketWs.close() };
+  });
+  server.rooms = rooms;
+  return server;
+}
+
+// ------- export / start -------
+module.exports = { createRelayServer, createRooms };
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || 8080;
+  const host = process.env.HOST || '127.0.0.1';
+  createRelayServer().listen(port, host, () => console.log(`3D Chess Master relay on http://${host}:${port}`));
+}
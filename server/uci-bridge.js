@@ -0,0 +1,75 @@
+// server/uci-bridge.js
+// 3D Chess Master — lets the page talk to a local UCI engine: one engine process per WebSocket, stdio <-> text frames
+// no dependencies: `node server/uci-bridge.js stockfish` (or a full path plus arguments), PORT=8081 by default
+// every frame from the page is one or more UCI commands, every line the engine prints goes back as its own frame;
+// it listens on 127.0.0.1 only, since whoever connects gets an engine process on this machine, and for the same reason
+// takes connections only from pages served by this machine (ORIGINS=https://a,https://b adds others; ALLOW_FILE=1 lets a
+// page opened from file:// in) and passes on only the UCI commands and options the page itself sends
+
+const http = require('http');
+const { spawn } = require('child_process');
+const { acceptWebSocket } = require('./websocket.js');
+
+// ------- CONFIG -------
+const HOST = '127.0.0.1';
+const DEFAULT_PORT = 8081;
+const LOOPBACK = new Set(['localhost', '127.0.0.1', '[::1]']);
+const COMMANDS = new Set(['uci', 'isready', 'ucinewgame', 'setoption', 'position', 'go', 'stop', 'ponderhit', 'quit']);
+const OPTIONS = new Set(['UCI_Chess960', 'UCI_Variant']); // what engines.js sets; no log files, no paths
+
+// ------- BRIDGE -------
+// a browser always sends Origin with a WebSocket, so a missing one is a local tool, not a web page
+function originAllowed(origin, { origins = [], allowFile = false } = {}) {
+  if (origin === undefined) return true;
+  if (origin === 'null') return allowFile;
+  if (origins.includes(origin)) return true;
+  try {
+    const url = new URL(origin);
+    return (url.protocol === 'http:' || url.protocol === 'https:') && LOOPBACK.has(url.hostname);
+  } catch (err) { return false; }
+}
+
+function commandAllowed(line) {
+  const command = line.split(/\s+/)[0];
+  if (!COMMANDS.has(command)) return false;
+  if (command !== 'setoption') return true;
+  const option = /^setoption\s+name\s+(.+?)(?:\s+value\b|$)/.exec(line);
+  return !!option && OPTIONS.has(option[1]);
+}
+
+// options: { origins: extra allowed page origins, allowFile: accept pages opened from file:// (Origin: null) }
+function createUciBridge(command, args = [], options = {}) {
+  const server = http.createServer((req, res) => { res.writeHead(426, { 'Content-Type': 'text/plain' }); res.end('UCI bridge: connect with a WebSocket\n'); });
+  server.on('upgrade', (req, socket) => {
+    if (!originAllowed(req.headers.origin, options)) { socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n'); return; }
+    let engine = null, pending = '';
+    const ws = acceptWebSocket(req, socket, {
+      onMessage(text) {
+        const lines = text.split(/\r?\n/).map(line => line.trim()).filter(commandAllowed);
+        if (lines.length && engine && engine.stdin.writable) engine.stdin.write(`${lines.join('\n')}\n`);
+      },
+      onClose() { if (engine) { engine.stdin.end('quit\n'); setTimeout(() => { if (engine.exitCode === null) engine.kill(); }, 1000); } }
+    });
+    if (!ws) return;
+    engine = spawn(command, args, { stdio: ['pipe', 'pipe', 'inherit'] });
+    engine.stdout.on('data', chunk => {
+      const lines = (pending + chunk.toString('utf8')).split(/\r?\n/);
+      pending = lines.pop();
+      lines.forEach(line => { if (line.trim()) ws.send(line); });
+    });
+    engine.on('error', err => { console.error(`Can't start ${command}: ${err.message}`); ws.close(); });
+    engine.on('exit', () => ws.close());
+  });
+  return server;
+}
+
+// ------- export / start -------
+module.exports = { createUciBridge };
+
+if (require.main === module) {
+  const [command, ...args] = process.argv.slice(2);
+  if (!command) { console.error('usage: node server/uci-bridge.js <engine> [engine args...]'); process.exit(1); }
+  const port = Number(process.env.PORT) || DEFAULT_PORT;
+  const origins = (process.env.ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+  createUciBridge(command, args, { origins, allowFile: process.env.ALLOW_FILE === '1' }).listen(port, HOST, () => console.log(`UCI bridge for ${command} on ws://localhost:${port}`));
+}
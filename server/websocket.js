@@ -0,0 +1,82 @@
+// server/websocket.js
+// 3D Chess Master — the bit of RFC 6455 the Node tools need: accept an upgrade, text frames in and out, ping/pong
+// shared by server/relay.js and server/uci-bridge.js; no dependencies
+
+const crypto = require('crypto');
+
+// ------- CONFIG -------
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const PING_MS = 30000;
+const MAX_FRAME = 64 * 1024;
+const MAX_MESSAGE = 64 * 1024; // all the fragments of one message together
+const TOO_BIG = 1009;
+
+function acceptKey(key) { return crypto.createHash('sha1').update(key + WS_GUID).digest('base64'); }
+
+function encodeFrame(opcode, payload) {
+  const len = payload.length;
+  const head = len < 126 ? Buffer.from([0x80 | opcode, len])
+    : len < 65536 ? Buffer.from([0x80 | opcode, 126, len >> 8, len & 255])
+      : Buffer.concat([Buffer.from([0x80 | opcode, 127]), (() => { const b = Buffer.alloc(8); b.writeBigUInt64BE(BigInt(len)); return b; })()]);
+  return Buffer.concat([head, payload]);
+}
+
+// ------- SOCKET -------
+// answers the handshake of an 'upgrade' request and wraps the socket, or destroys it and returns null when it isn't a WebSocket
+// onMessage(text) for every complete text message, onClose() once; returns { send(text), close(code?) }
+function acceptWebSocket(req, socket, { onMessage, onClose }) {
+  const key = req.headers['sec-websocket-key'];
+  if (!key || String(req.headers.upgrade).toLowerCase() !== 'websocket') { socket.destroy(); return null; }
+  socket.write(`HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ${acceptKey(key)}\r\n\r\n`);
+
+  let buffer = Buffer.alloc(0), fragments = [], fragmentsSize = 0, closed = false, alive = true;
+  const ws = {
+    send(text) { if (!closed) socket.write(encodeFrame(1, Buffer.from(text))); },
+    close(code) {
+      if (closed) return;
+      socket.write(encodeFrame(8, code ? Buffer.from([code >> 8, code & 255]) : Buffer.alloc(0)));
+      socket.end();
+      finish();
+    }
+  };
+  const finish = () => { if (closed) return; closed = true; clearInterval(pinger); onClose(); };
+  // a client that misses a whole ping interval is gone
+  const pinger = setInterval(() => { if (!alive) { socket.destroy(); return; } alive = false; socket.write(encodeFrame(9, Buffer.alloc(0))); }, PING_MS);
+
+  socket.on('data', chunk => {
+    if (closed) return;
+    buffer = Buffer.concat([buffer, chunk]);
+    for (;;) {
+      if (buffer.length < 2) return;
+      const fin = buffer[0] & 0x80, opcode = buffer[0] & 0x0f, masked = buffer[1] & 0x80;
+      let len = buffer[1] & 0x7f, offset = 2;
+      if (len === 126) { if (buffer.length < 4) return; len = buffer.readUInt16BE(2); offset = 4; }
+      else if (len === 127) { if (buffer.length < 10) return; len = Number(buffer.readBigUInt64BE(2)); offset = 10; }
+      // clients must mask, and nothing we speak is big
+      if (!masked) { socket.destroy(); return; }
+      if (len > MAX_FRAME) { ws.close(TOO_BIG); return; }
+      if (buffer.length < offset + 4 + len) return;
+      const mask = buffer.slice(offset, offset + 4);
+      const payload = Buffer.from(buffer.slice(offset + 4, offset + 4 + len));
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+      buffer = buffer.slice(offset + 4 + len);
+
+      alive = true;
+      if (opcode === 8) { ws.close(); return; }
+      if (opcode === 9) { socket.write(encodeFrame(10, payload)); continue; }
+      if (opcode === 10) continue;
+      if (opcode === 1 || opcode === 0) {
+        fragmentsSize += payload.length;
+        if (fragmentsSize > MAX_MESSAGE) { ws.close(TOO_BIG); return; }
+        fragments.push(payload);
+        if (fin) { const text = Buffer.concat(fragments).toString('utf8'); fragments = []; fragmentsSize = 0; onMessage(text); }
+      }
+    }
+  });
+  socket.on('close', finish);
+  socket.on('error', finish);
+  return ws;
+}
+
+// ------- export -------
+module.exports = { acceptWebSocket };
@@ -0,0 +1,756 @@
+// test.js
+// 3D Chess Master — headless checks for the rules and the other modules that load in Node
+// Node only, no dependencies: `node test.js` prints one line per check and exits with code 1 when any fails
+
+const assert = require('assert');
+const http = require('http');
+const net = require('net');
+const Engine = require('./engine.js');
+const Notation = require('./notation.js');
+const Clock = require('./clock.js');
+const Saves = require('./saves.js');
+const { createRelayServer, createRooms } = require('./server/relay.js');
+const Engines = require('./engines.js');
+const { createUciBridge } = require('./server/uci-bridge.js');
+const AI = require('./ai.js');
+const Analysis = require('./analysis.js');
+const Access = require('./access.js');
+const Variants = require('./variants.js');
+const Puzzles = require('./puzzles.js');
+const Book = require('./book.js');
+
+// ------- RUNNER -------
+// fn may return a promise; checks run one after another
+const checks = [];
+const check = (name, fn) => checks.push({ name, fn });
+
+// ------- HELPERS -------
+const squareName = (x, z) => String.fromCharCode(97 + x) + (8 - z);
+const moveName = m => squareName(m.fromX, m.fromZ) + squareName(m.toX, m.toZ);
+
+// plays coordinate moves ('e2e4', 'e7e8n') on pos (the start by default); each has to be legal
+function playUci(moves, pos = Engine.createPosition()) {
+  const types = { q: 'queen', r: 'rook', b: 'bishop', n: 'knight' };
+  moves.forEach(text => {
+    const move = Engine.legalMoves(pos).find(m => moveName(m) === text.slice(0, 4) && (!text[4] || m.promotion === types[text[4]]));
+    assert.ok(move, `${text} should be legal`);
+    Engine.makeMove(pos, move);
+  });
+  return pos;
+}
+
+// every line of moves `depth` plies deep, undone, leaves the position as it was at that ply: same squares (the same
+// piece objects, the renderer keeps its meshes on them), turn and whatever else the position carries.
+// The snapshot comes first: legalMoves makes and unmakes every candidate itself
+function checkUnmake(pos, depth, label) {
+  const snapshot = p => ({ ...Engine.clonePosition(p), pieces: p.board.flat() });
+  const before = snapshot(pos);
+  Engine.legalMoves(pos).forEach(m => {
+    const undo = Engine.makeMove(pos, m);
+    if (depth > 1) checkUnmake(pos, depth - 1, label);
+    Engine.unmakeMove(pos, undo);
+    const after = snapshot(pos);
+    assert.deepStrictEqual(after, before, `${label}: ${moveName(m)} was not undone`);
+    after.pieces.forEach((p, i) => assert.strictEqual(p, before.pieces[i], `${label}: ${moveName(m)} swapped a piece object`));
+  });
+}
+
+// a position from { square: FEN letter }, no castling rights; fields overrides turn, ep, counters
+function setup(pieces, fields = {}) {
+  const board = Engine.emptyBoard(), types = { p: 'pawn', n: 'knight', b: 'bishop', r: 'rook', q: 'queen', k: 'king' };
+  Object.entries(pieces).forEach(([square, letter]) => {
+    board[8 - Number(square[1])][square.charCodeAt(0) - 97] = { type: types[letter.toLowerCase()], color: letter === letter.toUpperCase() ? 'white' : 'black' };
+  });
+  return Engine.createPosition({ board, castling: Engine.noCastling(), ...fields });
+}
+
+// tricky positions for move generation: castling both ways, en passant, promotions, pins and discovered checks
+const POSITIONS = [
+  { name: 'Start position', fen: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1' },
+  { name: 'Kiwipete', fen: 'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1' },
+  { name: 'Rook endgame', fen: '8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1' },
+  { name: 'Promotions', fen: 'r3k2r/Pppp1ppp/1b3nbN/nP6/BBP1P3/q4N2/Pp1P2PP/R2Q1RK1 w kq - 0 1' },
+  { name: 'Discovered checks', fen: 'rnbq1k1r/pp1Pbppp/2p5/8/2B5/8/PPP1NnPP/RNBQK2R w KQ - 1 8' },
+  { name: 'En passant', fen: 'rnbqkbnr/ppp1p1pp/8/3pPp2/8/8/PPPP1PPP/RNBQKBNR w KQkq f6 0 3' }
+];
+
+const status = (fen, keys) => Engine.gameStatus(Engine.parseFen(fen), keys).state;
+
+// plays SAN moves from a FEN (the start by default): { pos, keys } with the repetition keys gameStatus wants
+function play(sans, fen = Engine.START_FEN) {
+  const pos = Engine.parseFen(fen), keys = [Engine.positionKey(pos)];
+  sans.forEach(san => {
+    const move = Notation.parseSan(pos, san);
+    assert.ok(move, `${san} should be legal in ${Engine.toFen(pos)}`);
+    Engine.makeMove(pos, move);
+    keys.push(Engine.positionKey(pos));
+  });
+  return { pos, keys };
+}
+
+// a localStorage stand-in
+function memoryStorage() {
+  const items = new Map();
+  return { getItem: k => (items.has(k) ? items.get(k) : null), setItem: (k, v) => items.set(k, String(v)), removeItem: k => items.delete(k) };
+}
+
+// a client frame; clients must mask, and an all-zero mask leaves the payload as it is
+function wsFrame(opcode, fin, text) {
+  const payload = Buffer.from(text), len = payload.length, first = (fin ? 0x80 : 0) | opcode;
+  const head = len < 126 ? Buffer.from([first, 0x80 | len]) : Buffer.from([first, 0x80 | 126, len >> 8, len & 255]);
+  return Buffer.concat([head, Buffer.alloc(4), payload]);
+}
+
+// a bare WebSocket client over a raw socket, so frames can be split by hand and headers chosen:
+// resolves to { status, send(...frames), next() -> { opcode, payload }, close() } once the handshake answer is in
+function rawWebSocket(port, headers = {}) {
+  const socket = net.connect(port, '127.0.0.1');
+  let received = Buffer.alloc(0), waiting = null;
+  socket.on('data', chunk => { received = Buffer.concat([received, chunk]); if (waiting) waiting(); });
+  // take() returns undefined until enough has arrived, then consumes it
+  const until = take => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => { waiting = null; reject(new Error('no answer from the server')); }, 2000);
+    waiting = () => { const value = take(); if (value !== undefined) { waiting = null; clearTimeout(timer); resolve(value); } };
+    waiting();
+  });
+  const status = () => {
+    const end = received.indexOf('\r\n\r\n');
+    if (end < 0) return undefined;
+    const head = received.slice(0, end).toString();
+    received = received.slice(end + 4);
+    return Number(head.split(' ')[1]);
+  };
+  const frame = () => {
+    if (received.length < 2) return undefined;
+    let len = received[1] & 0x7f, offset = 2;
+    if (len === 126) { if (received.length < 4) return undefined; len = received.readUInt16BE(2); offset = 4; }
+    if (received.length < offset + len) return undefined;
+    const result = { opcode: received[0] & 0x0f, payload: received.slice(offset, offset + len) };
+    received = received.slice(offset + len);
+    return result;
+  };
+  socket.write('GET / HTTP/1.1\r\nHost: localhost\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\nSec-WebSocket-Version: 13\r\n'
+    + Object.entries(headers).map(([name, value]) => `${name}: ${value}\r\n`).join('') + '\r\n');
+  return until(status).then(code => ({ status: code, send: (...frames) => socket.write(Buffer.concat(frames)), next: () => until(frame), close: () => socket.destroy() }));
+}
+
+// ------- MAKE / UNMAKE -------
+check('unmakeMove restores the position exactly', () => {
+  checkUnmake(Engine.createPosition(), 3, 'Start position');
+});
+
+check('castling and en passant move the right pieces and undo cleanly', () => {
+  const castled = playUci(['e2e4', 'e7e5', 'g1f3', 'b8c6', 'f1c4', 'f8c5', 'e1g1']);
+  assert.deepStrictEqual([castled.board[7][6].type, castled.board[7][5].type, castled.board[7][4], castled.board[7][7]], ['king', 'rook', null, null]);
+  assert.deepStrictEqual(castled.castling.white, { king: null, queen: null });
+  checkUnmake(castled, 2, 'After O-O');
+
+  const ep = playUci(['e2e4', 'a7a6', 'e4e5', 'd7d5']);
+  assert.deepStrictEqual(ep.ep, { x: 3, z: 2 });
+  playUci(['e5d6'], ep);
+  assert.strictEqual(ep.board[3][3], null, 'the d5 pawn is taken');
+  assert.strictEqual(ep.board[2][3].color, 'white');
+
+  // no castling out of, through or into check
+  const queens = playUci(['e2e4', 'e7e5', 'g1f3', 'd8h4', 'f1c4', 'h4f2']);
+  assert.ok(!Engine.legalMoves(queens).some(m => m.castle));
+});
+
+check('promotions offer every piece and undo back to a pawn', () => {
+  const pos = setup({ e1: 'K', e8: 'k', a7: 'P', b8: 'n' });
+  const promos = Engine.legalMoves(pos).filter(m => m.promotion);
+  assert.deepStrictEqual(promos.map(m => `${moveName(m)}${m.promotion}`).sort(),
+    ['a7a8bishop', 'a7a8knight', 'a7a8queen', 'a7a8rook', 'a7b8bishop', 'a7b8knight', 'a7b8queen', 'a7b8rook']);
+  const undo = Engine.makeMove(pos, promos.find(m => m.promotion === 'knight'));
+  assert.strictEqual(pos.board[0][0].type, 'knight');
+  Engine.unmakeMove(pos, undo);
+  assert.strictEqual(pos.board[1][0].type, 'pawn');
+  checkUnmake(pos, 2, 'Promotion');
+});
+
+// ------- GAME STATUS -------
+check('gameStatus: checkmate and stalemate', () => {
+  const mate = playUci(['f2f3', 'e7e5', 'g2g4', 'd8h4']);
+  assert.deepStrictEqual(Engine.gameStatus(mate), { state: 'checkmate', inCheck: true, winner: 'black' });
+  assert.strictEqual(Engine.gameStatus(setup({ h8: 'k', f7: 'Q', g6: 'K' }, { turn: 'black' })).state, 'stalemate');
+});
+
+check('gameStatus: threefold repetition', () => {
+  const keysAfter = moves => {
+    const pos = Engine.createPosition(), keys = [Engine.positionKey(pos)];
+    moves.forEach(m => { playUci([m], pos); keys.push(Engine.positionKey(pos)); });
+    return { pos, keys };
+  };
+  const shuffle = ['g1f3', 'g8f6', 'f3g1', 'f6g8'];
+  const twice = keysAfter(shuffle);
+  assert.strictEqual(Engine.gameStatus(twice.pos, twice.keys).state, 'playing'); // the start position twice
+  const thrice = keysAfter([...shuffle, ...shuffle]);
+  assert.strictEqual(Engine.gameStatus(thrice.pos, thrice.keys).state, 'repetition');
+  // the same squares with different castling rights are a different position
+  const rights = keysAfter(['g1f3', 'g8f6', 'h1g1', 'h8g8', 'g1h1', 'g8h8', 'f3g1', 'f6g8', 'g1f3', 'g8f6', 'f3g1', 'f6g8']);
+  assert.strictEqual(Engine.gameStatus(rights.pos, rights.keys).state, 'playing');
+});
+
+check('gameStatus: fifty-move rule', () => {
+  const rook = fields => setup({ e1: 'K', e8: 'k', a2: 'R' }, fields);
+  assert.strictEqual(Engine.gameStatus(rook({ halfmove: 99 })).state, 'playing');
+  assert.strictEqual(Engine.gameStatus(rook({ halfmove: 100, turn: 'black' })).state, 'fifty-move');
+  assert.strictEqual(Engine.gameStatus(playUci(['a2a3'], rook({ halfmove: 99 }))).state, 'fifty-move');
+  // a pawn move starts the count again
+  assert.strictEqual(Engine.gameStatus(playUci(['e2e3'], setup({ e1: 'K', e8: 'k', a1: 'R', e2: 'P' }, { halfmove: 99 }))).state, 'playing');
+  // mate on the hundredth half-move still counts as mate
+  assert.strictEqual(Engine.gameStatus(setup({ a8: 'R', g8: 'k', f7: 'p', g7: 'p', h7: 'p', g1: 'K' }, { turn: 'black', halfmove: 100 })).state, 'checkmate');
+});
+
+check('gameStatus: insufficient material', () => {
+  const state = pieces => Engine.gameStatus(setup({ e1: 'K', e8: 'k', ...pieces })).state;
+  assert.strictEqual(state({}), 'insufficient');
+  assert.strictEqual(state({ c1: 'B' }), 'insufficient');
+  assert.strictEqual(state({ b1: 'N' }), 'insufficient');
+  assert.strictEqual(state({ c1: 'B', f8: 'b' }), 'insufficient'); // both bishops on dark squares
+  assert.strictEqual(state({ c1: 'B', c8: 'b' }), 'playing'); // opposite shades: mate is possible
+  assert.strictEqual(state({ b1: 'N', c1: 'N' }), 'playing');
+  assert.strictEqual(state({ a2: 'P' }), 'playing');
+});
+
+// ------- FEN -------
+check('FEN round-trips', () => {
+  [...POSITIONS.map(p => p.fen), '8/8/8/8/8/8/8/k6K b - - 12 70', 'r3k2r/8/8/8/8/8/8/R3K2R w Kq - 0 1']
+    .forEach(fen => assert.strictEqual(Engine.toFen(Engine.parseFen(fen)), fen));
+  assert.strictEqual(Engine.toFen(Engine.createPosition()), Engine.START_FEN);
+  ['rnbqkbnr/pppppppp/8/8 w KQkq - 0 1', 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNX w KQkq - 0 1', 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR']
+    .forEach(fen => assert.throws(() => Engine.parseFen(fen), /Invalid FEN/, fen));
+});
+
+check('makeMove keeps castling rights, ep and the counters for FEN', () => {
+  const pos = playUci(['e2e4', 'e7e5', 'g1f3', 'b8c6', 'f1c4', 'f8c5', 'e1g1']);
+  assert.strictEqual(Engine.toFen(pos), 'r1bqk1nr/pppp1ppp/2n5/2b1p3/2B1P3/5N2/PPPP1PPP/RNBQ1RK1 b kq - 5 4');
+  assert.strictEqual(Engine.toFen(playUci(['e2e4'])), 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1');
+  // a rook taken on its home square takes its castling right with it
+  const taken = playUci(['g2h1'], Engine.parseFen('r3k2r/8/8/8/8/8/6b1/R3K2R b KQkq - 0 1'));
+  assert.strictEqual(Engine.toFen(taken), 'r3k2r/8/8/8/8/8/8/R3K2b w Qkq - 0 2');
+});
+
+check('unmakeMove restores tricky positions exactly', () => {
+  POSITIONS.forEach(({ name, fen }) => checkUnmake(Engine.parseFen(fen), 2, name));
+});
+
+// ------- SAN / PGN -------
+check('SAN round-trips for every legal move', () => {
+  POSITIONS.forEach(({ name, fen }) => {
+    const pos = Engine.parseFen(fen);
+    Engine.legalMoves(pos).forEach(m => assert.deepStrictEqual(Notation.parseSan(pos, Notation.toSan(pos, m)), m, `${name}: ${Notation.toSan(pos, m)}`));
+  });
+  // checks, mates and captures are marked
+  assert.strictEqual(Notation.toSan(play(['f3', 'e5', 'g4']).pos, Notation.parseSan(play(['f3', 'e5', 'g4']).pos, 'Qh4')), 'Qh4#');
+  // ambiguous or illegal SAN is refused rather than guessed
+  const knights = Engine.parseFen('4k3/8/8/8/8/8/8/1N2KN2 w - - 0 1');
+  assert.strictEqual(Notation.parseSan(knights, 'Nd2'), null);
+  assert.ok(Notation.parseSan(knights, 'Nbd2'));
+  assert.strictEqual(Notation.toSan(knights, Notation.parseSan(knights, 'Nfd2')), 'Nfd2');
+  assert.strictEqual(Notation.parseSan(Engine.createPosition(), 'e5'), null);
+});
+
+check('PGN round-trips', () => {
+  const games = [
+    { sans: ['e4', 'e5', 'Nf3', 'Nc6', 'Bb5', 'a6', 'Ba4', 'Nf6', 'O-O', 'Be7', 'Re1', 'b5', 'Bb3', 'O-O'], result: '*' },
+    { sans: ['f3', 'e5', 'g4', 'Qh4#'], result: '0-1', tags: { White: 'Fool "the" \\ Player', Event: 'Test' } },
+    // black to move from a set-up position, with a promotion
+    { startFen: '8/8/8/8/8/7K/p7/7k b - - 0 60', sans: ['a1=Q', 'Kg3'], result: '1/2-1/2' }
+  ];
+  games.forEach(game => {
+    const back = Notation.parsePgn(Notation.toPgn(game));
+    assert.deepStrictEqual(back.sans, game.sans);
+    assert.strictEqual(back.result, game.result);
+    assert.strictEqual(back.startFen, game.startFen || Engine.START_FEN);
+    Object.entries(game.tags || {}).forEach(([k, v]) => assert.strictEqual(back.tags[k], v));
+    assert.strictEqual(Engine.toFen(play(back.sans, back.startFen).pos), Engine.toFen(play(game.sans, game.startFen).pos));
+  });
+  // comments, variations and NAGs are skipped
+  const read = Notation.parsePgn('1. e4 {best by test} e5 (1... c5 2. Nf3) 2. Nf3 $1 Nc6 1-0');
+  assert.deepStrictEqual(read.sans, ['e4', 'e5', 'Nf3', 'Nc6']);
+  assert.strictEqual(read.result, '1-0');
+});
+
+// ------- CLOCK -------
+check('clock: increment is added after the move', () => {
+  const clock = Clock.createClock({ baseMs: 60000, incrementMs: 2000 });
+  Clock.start(clock, 'white', 0);
+  Clock.press(clock, 'white', 5000);
+  assert.strictEqual(Clock.timeLeft(clock, 'white', 9000), 57000);
+  assert.strictEqual(clock.running, 'black');
+  assert.strictEqual(Clock.timeLeft(clock, 'black', 9000), 56000);
+  Clock.press(clock, 'black', 9000);
+  assert.strictEqual(Clock.timeLeft(clock, 'black', 9000), 58000);
+});
+
+check('clock: delay leaves the first seconds of a turn uncounted', () => {
+  const clock = Clock.createClock({ baseMs: 60000, incrementMs: 3000, mode: 'delay' });
+  Clock.start(clock, 'white', 0);
+  assert.strictEqual(Clock.timeLeft(clock, 'white', 2500), 60000);
+  Clock.press(clock, 'white', 2500);
+  assert.strictEqual(Clock.timeLeft(clock, 'white', 2500), 60000); // nothing spent, nothing added
+  Clock.press(clock, 'black', 10500); // 8 s thought, 3 s free
+  assert.strictEqual(Clock.timeLeft(clock, 'black', 10500), 55000);
+});
+
+check('clock: flag fall', () => {
+  const clock = Clock.createClock({ baseMs: 1000 });
+  assert.strictEqual(Clock.flagged(clock, 5000), null); // not started
+  Clock.start(clock, 'white', 0);
+  assert.strictEqual(Clock.flagged(clock, 999), null);
+  assert.strictEqual(Clock.flagged(clock, 1000), 'white');
+  assert.strictEqual(Clock.timeLeft(clock, 'white', 4000), 0);
+  Clock.stop(clock, 500);
+  assert.strictEqual(Clock.flagged(clock, 5000), null); // paused
+  // out of time against a lone king is a draw, not a loss
+  assert.ok(Engine.lacksMatingMaterial(setup({ e1: 'K', e8: 'k', a7: 'p' }).board, 'white'));
+  assert.ok(!Engine.lacksMatingMaterial(setup({ e1: 'K', e8: 'k', a7: 'p' }).board, 'black'));
+});
+
+check('clock: moveBudget', () => {
+  const clock = Clock.createClock({ baseMs: 60000 });
+  assert.strictEqual(Clock.moveBudget(clock, 'white', 0), 2000); // a thirtieth of what is left
+  const inc = Clock.createClock({ baseMs: 60000, incrementMs: 2000 });
+  assert.strictEqual(Clock.moveBudget(inc, 'white', 0), 3600); // plus most of the increment
+  const low = Clock.createClock({ baseMs: 80, incrementMs: 2000 });
+  assert.strictEqual(Clock.moveBudget(low, 'white', 0), 50); // never more than half of what is left, never under 50 ms
+});
+
+// ------- SAVES -------
+check('UCI round-trips for every legal move', () => {
+  POSITIONS.forEach(({ name, fen }) => {
+    const pos = Engine.parseFen(fen);
+    Engine.legalMoves(pos).forEach(m => assert.deepStrictEqual(Notation.parseUci(pos, Notation.toUci(m)), m, `${name}: ${Notation.toUci(m)}`));
+  });
+});
+
+check('saves: migrate fills in what older records left out and refuses the rest', () => {
+  const bare = Saves.migrate({ version: 1, startFen: Engine.START_FEN, moves: ['e2e4'] });
+  assert.deepStrictEqual(bare.clocks, []);
+  assert.strictEqual(bare.result, '*');
+  assert.deepStrictEqual(bare.ai, { white: null, black: null, delay: 1000 });
+  assert.strictEqual(bare.clock, null);
+  assert.strictEqual(bare.timeControl, null);
+  assert.throws(() => Saves.migrate(null), /Not a saved game/);
+  assert.throws(() => Saves.migrate({ moves: [] }), /Not a saved game/);
+  assert.throws(() => Saves.migrate({ version: Saves.FORMAT_VERSION + 1 }), /newer version/);
+  assert.throws(() => Saves.migrate({ version: 0 }), /format version 0/);
+});
+
+check('saves: records replay to the game they were made from', () => {
+  const scratch = Engine.createPosition();
+  const moves = ['e4', 'd5', 'exd5', 'c6', 'dxc6', 'Qb6', 'cxb7', 'Bd7', 'bxa8=N'].map(san => {
+    const m = Notation.parseSan(scratch, san);
+    Engine.makeMove(scratch, m);
+    return m;
+  });
+  const record = JSON.parse(JSON.stringify(Saves.createRecord({ moves, result: '*' })));
+  assert.strictEqual(record.moves[8], 'b7a8n');
+  const replayed = Saves.replay(Saves.migrate(record));
+  assert.strictEqual(replayed.moves.length, 9);
+  assert.strictEqual(Engine.toFen(replayed.position), Engine.toFen(scratch));
+  assert.throws(() => Saves.replay(Saves.migrate({ version: 1, startFen: Engine.START_FEN, moves: ['e2e4', 'e2e4'] })), /illegal move 2: e2e4/);
+});
+
+check('saves: autosave slot and saved-games list', () => {
+  const storage = memoryStorage();
+  assert.strictEqual(Saves.loadAutosave(storage), null);
+  storage.setItem('3dchess.autosave', '{ not json');
+  assert.strictEqual(Saves.loadAutosave(storage), null);
+  Saves.saveAutosave(storage, Saves.createRecord({ moves: [] }));
+  assert.strictEqual(Saves.loadAutosave(storage).version, Saves.FORMAT_VERSION);
+
+  const first = Saves.saveNamed(storage, '  ', Saves.createRecord({ moves: [] }));
+  const second = Saves.saveNamed(storage, 'Second', Saves.createRecord({ moves: [] }));
+  assert.deepStrictEqual(Saves.listSaved(storage).map(e => e.name), ['Second', 'Untitled game']);
+  Saves.renameSaved(storage, first.id, 'First');
+  assert.strictEqual(Saves.getSaved(storage, first.id).name, 'First');
+  Saves.deleteSaved(storage, second.id);
+  assert.deepStrictEqual(Saves.listSaved(storage).map(e => e.id), [first.id]);
+  assert.strictEqual(Saves.getSaved(storage, second.id), null);
+});
+
+// ------- RELAY -------
+// a room between two fake connections; each records what the relay sent it
+check('the relay passes legal moves on and refuses illegal ones', () => {
+  const { handle } = createRooms();
+  const connect = () => { const ws = { sent: [], send: msg => ws.sent.push(msg), close() {} }; return { ws, client: {} }; };
+  const white = connect(), black = connect();
+  const send = (c, msg) => { c.ws.sent.length = 0; handle(c.ws, c.client, msg); return c.ws.sent; };
+  const room = send(white, { type: 'create', color: 'white' })[0].room;
+  assert.strictEqual(send(black, { type: 'join', room })[0].color, 'black');
+
+  const refused = (c, msg) => {
+    black.ws.sent.length = 0;
+    const reply = send(c, msg);
+    assert.strictEqual(reply.length, 1, JSON.stringify(msg));
+    assert.strictEqual(reply[0].type, 'state', JSON.stringify(msg)); // the real state, to resync on
+    assert.ok(!black.ws.sent.some(m => m.type === 'move'), `${JSON.stringify(msg)} reached the opponent`);
+  };
+  refused(white, { type: 'move', uci: 'e2e5', ply: 0 }); // not a legal move
+  refused(white, { type: 'move', uci: 'e7e5', ply: 0 }); // the opponent's piece
+  refused(white, { type: 'move', uci: 'e1g1', ply: 0 }); // castling through pieces
+  refused(white, { type: 'move', uci: 'nonsense', ply: 0 });
+  refused(white, { type: 'move', uci: 'e2e4', ply: 3 }); // out of step
+
+  send(white, { type: 'move', uci: 'e2e4', ply: 0 });
+  assert.deepStrictEqual(black.ws.sent, [{ type: 'move', uci: 'e2e4', ply: 0 }]);
+  const turn = send(white, { type: 'move', uci: 'd2d4', ply: 1 }); // black's turn
+  assert.deepStrictEqual(turn.map(m => m.type), ['state']);
+  assert.deepStrictEqual(turn[0].moves, ['e2e4']);
+  // a third connection finds the room full, and one without a room can't move
+  const third = connect();
+  assert.deepStrictEqual(send(third, { type: 'join', room }), [{ type: 'error', message: 'That room is full' }]);
+  assert.deepStrictEqual(send(third, { type: 'move', uci: 'e7e5', ply: 1 }), [{ type: 'error', message: 'Join a room first' }]);
+});
+
+// the static file handler, over real HTTP on a free port
+check('the relay serves only the app and survives bad paths', async () => {
+  const server = createRelayServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const get = url => new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port: server.address().port, path: url }, res => { res.resume(); resolve(res.statusCode); }).on('error', reject);
+  });
+  try {
+    assert.strictEqual(await get('/'), 200);
+    assert.strictEqual(await get('/engine.js?v=2'), 200);
+    assert.strictEqual(await get('/%E0%A4%A'), 400); // a malformed escape
+    assert.strictEqual(await get('/%'), 400);
+    assert.strictEqual(await get('/puzzles.json'), 200);
+    // only the app's own files
+    for (const url of ['/server/relay.js', '/..%2F..%2Fetc%2Fpasswd', '/.git/HEAD', '/.git/config', '/%2Egit/HEAD', '/requests.jsonl', '/test.js', '/no-such-file.js']) {
+      assert.strictEqual(await get(url), 404, url);
+    }
+    assert.strictEqual(await get('/'), 200); // still up
+  } finally { server.close(); }
+});
+
+// the WebSocket layer under the relay
+check('the relay joins fragmented messages and closes with 1009 past the size cap', async () => {
+  const server = createRelayServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const ws = await rawWebSocket(server.address().port);
+  try {
+    assert.strictEqual(ws.status, 101);
+    // { "type": "move" } in three pieces is still one message
+    ws.send(wsFrame(1, false, '{"type"'), wsFrame(0, false, ':"mo'), wsFrame(0, true, 've"}'));
+    assert.deepStrictEqual(JSON.parse((await ws.next()).payload.toString()), { type: 'error', message: 'Join a room first' });
+    // frames under the cap that add up to more than it
+    const piece = 'x'.repeat(30000);
+    ws.send(wsFrame(1, false, piece), wsFrame(0, false, piece), wsFrame(0, false, piece));
+    const close = await ws.next();
+    assert.strictEqual(close.opcode, 8);
+    assert.strictEqual(close.payload.readUInt16BE(0), 1009);
+  } finally { ws.close(); server.close(); }
+});
+
+// ------- UCI ENGINES -------
+check('engines: parseInfo reads scores, mates and lines', () => {
+  assert.deepStrictEqual(Engines.parseInfo('info depth 12 seldepth 18 score cp 31 nodes 80312 nps 900000 pv e2e4 e7e5 g1f3'),
+    { depth: 12, score: 31, nodes: 80312, pv: ['e2e4', 'e7e5', 'g1f3'] });
+  assert.deepStrictEqual(Engines.parseInfo('info depth 20 score mate -3 pv h7h8'), { depth: 20, mate: -3, pv: ['h7h8'] });
+  assert.deepStrictEqual(Engines.parseInfo('info depth 9 score cp -45 lowerbound nodes 1200'), { depth: 9, score: -45, bound: 'lowerbound', nodes: 1200 });
+  assert.deepStrictEqual(Engines.parseInfo('info depth 14 multipv 2 score cp -12 pv d2d4 d7d5'), { depth: 14, multipv: 2, score: -12, pv: ['d2d4', 'd7d5'] });
+  assert.deepStrictEqual(Engines.parseInfo('info string depth 3 score cp 99 pv a2a3'), {});
+  assert.strictEqual(Engines.parseInfo('readyok'), null);
+});
+
+check('engines: parseBestMove', () => {
+  assert.strictEqual(Engines.parseBestMove('bestmove e2e4 ponder e7e5'), 'e2e4');
+  assert.strictEqual(Engines.parseBestMove('bestmove e7e8q'), 'e7e8q');
+  assert.strictEqual(Engines.parseBestMove('bestmove (none)'), null);
+  assert.strictEqual(Engines.parseBestMove('bestmove 0000'), null);
+  assert.strictEqual(Engines.parseBestMove('info depth 1 score cp 0'), undefined);
+});
+
+check('engines: a UCI engine reports the multipv 1 line with its bestmove', async () => {
+  // a WebSocket stand-in that answers like an engine running with MultiPV 2
+  class FakeSocket {
+    constructor() { setTimeout(() => this.onopen(), 0); }
+    reply(...lines) { lines.forEach(data => setTimeout(() => this.onmessage({ data }), 0)); }
+    send(line) {
+      if (line === 'uci') this.reply('id name Fake', 'uciok');
+      else if (line === 'isready') this.reply('readyok');
+      else if (line.startsWith('go')) this.reply('info depth 8 multipv 1 score cp 25 pv e2e4 e7e5', 'info depth 8 multipv 2 score cp 10 pv d2d4', 'bestmove e2e4');
+    }
+    close() {}
+  }
+  const engine = Engines.createUciEngine({ url: 'ws://fake' }, FakeSocket);
+  const result = await new Promise(resolve => engine.go({ startFen: Engine.START_FEN, moves: [], variant: 'standard', timeMs: 100 }, resolve));
+  assert.deepStrictEqual(result, { move: 'e2e4', score: 25, mate: undefined, depth: 8, pv: ['e2e4', 'e7e5'], nodes: undefined });
+});
+
+// the bridge in front of a stand-in engine that echoes every command it gets
+check('uci-bridge: only local pages, only the commands and options the page sends', async () => {
+  const echo = ['-e', "require('readline').createInterface({ input: process.stdin }).on('line', line => console.log('got ' + line))"];
+  const bridges = [createUciBridge(process.execPath, echo), createUciBridge(process.execPath, echo, { allowFile: true })];
+  await Promise.all(bridges.map(bridge => new Promise(resolve => bridge.listen(0, '127.0.0.1', resolve))));
+  const [port, filePort] = bridges.map(bridge => bridge.address().port);
+  const opened = [];
+  const open = async (p, origin) => { const ws = await rawWebSocket(p, { Origin: origin }); opened.push(ws); return ws.status; };
+  try {
+    assert.strictEqual(await open(port, 'http://evil.example'), 403);
+    assert.strictEqual(await open(port, 'http://localhost.evil.example:8080'), 403);
+    assert.strictEqual(await open(port, 'null'), 403); // file:// only when asked for
+    assert.strictEqual(await open(filePort, 'null'), 101);
+    assert.strictEqual(await open(port, 'http://localhost:5500'), 101);
+    const ws = opened[opened.length - 1];
+    ws.send(wsFrame(1, true, 'setoption name Debug Log File value /tmp/engine.log\nsetoption name UCI_Chess960 value true\nbench\nisready'));
+    assert.strictEqual((await ws.next()).payload.toString(), 'got setoption name UCI_Chess960 value true');
+    assert.strictEqual((await ws.next()).payload.toString(), 'got isready');
+  } finally { opened.forEach(ws => ws.close()); bridges.forEach(bridge => bridge.close()); }
+});
+
+// ------- ANALYSIS -------
+check('analysis: fromResult turns side-to-move scores into white-view evaluations', () => {
+  assert.deepStrictEqual(Analysis.fromResult({ score: 50, depth: 6 }, 'white'), { cp: 50 });
+  assert.deepStrictEqual(Analysis.fromResult({ score: 50, depth: 6 }, 'black'), { cp: -50 });
+  assert.deepStrictEqual(Analysis.fromResult({ mate: 3 }, 'black'), { mate: -3 });
+  assert.deepStrictEqual(Analysis.fromResult({ mate: -2 }, 'black'), { mate: 2 });
+  // the built-in search's mate scores: MATE minus plies to mate
+  assert.deepStrictEqual(Analysis.fromResult({ score: AI.MATE - 5, depth: 8 }, 'white'), { mate: 3 });
+  assert.deepStrictEqual(Analysis.fromResult({ score: -(AI.MATE - 4), depth: 8 }, 'black'), { mate: 2 });
+  assert.strictEqual(Analysis.fromResult({ score: 0, depth: 0 }, 'white'), null); // a forced move, not searched
+  assert.deepStrictEqual(Analysis.fromStatus(Engine.gameStatus(play(['f3', 'e5', 'g4', 'Qh4#']).pos)), { mate: 0, winner: 'black' });
+  assert.strictEqual(Analysis.formatEval({ cp: -120 }), '-1.20');
+  assert.strictEqual(Analysis.formatEval({ mate: -2 }), '#-2');
+});
+
+check('analysis: reviewGame grades moves by the drop in winning chances', () => {
+  const kinds = (evals, movers) => Analysis.reviewGame(evals, movers).moves.map(m => m.kind);
+  // for white from an equal position: about -55 cp is an inaccuracy, -110 a mistake, -170 a blunder
+  assert.deepStrictEqual(kinds([{ cp: 0 }, { cp: -40 }], ['white']), []);
+  assert.deepStrictEqual(kinds([{ cp: 0 }, { cp: -60 }], ['white']), ['inaccuracy']);
+  assert.deepStrictEqual(kinds([{ cp: 0 }, { cp: -120 }], ['white']), ['mistake']);
+  assert.deepStrictEqual(kinds([{ cp: 0 }, { cp: -200 }], ['white']), ['blunder']);
+  assert.deepStrictEqual(kinds([{ cp: 0 }, { cp: 200 }], ['black']), ['blunder']);
+  assert.deepStrictEqual(kinds([{ cp: 0 }, { cp: 200 }], ['white']), []); // gaining is never a mistake
+  assert.deepStrictEqual(kinds([{ cp: 800 }, { cp: 600 }], ['white']), []); // still winning
+  assert.deepStrictEqual(kinds([{ cp: 0 }, { mate: -2 }], ['white']), ['blunder']);
+
+  // the fool's mate: 2. g4?? lets mate in one
+  const review = Analysis.reviewGame([{ cp: 0 }, { cp: -30 }, { cp: -20 }, { mate: -1 }, { mate: 0, winner: 'black' }], ['white', 'black', 'white', 'black']);
+  assert.deepStrictEqual(review.moves.map(m => [m.ply, m.kind]), [[3, 'blunder']]);
+  assert.deepStrictEqual(review.counts.white, { inaccuracy: 0, mistake: 0, blunder: 1 });
+  // a missing evaluation takes the one after it
+  assert.deepStrictEqual(Analysis.reviewGame([{ cp: 0 }, null, { cp: 10 }], ['white', 'black']).evals, [{ cp: 0 }, { cp: 10 }, { cp: 10 }]);
+});
+
+// ------- TYPED MOVES -------
+check('access: parseTypedMove reads SAN, UCI, lowercase and castling', () => {
+  const start = Engine.createPosition();
+  const typed = (pos, text) => { const m = Access.parseTypedMove(pos, text); return m && Notation.toUci(m); };
+  assert.strictEqual(typed(start, 'e2e4'), 'e2e4');
+  assert.strictEqual(typed(start, ' E2E4 '), 'e2e4');
+  assert.strictEqual(typed(start, 'e4'), 'e2e4');
+  assert.strictEqual(typed(start, 'Nf3'), 'g1f3');
+  assert.strictEqual(typed(start, 'nf3'), 'g1f3');
+  const castle = play(['e4', 'e5', 'Nf3', 'Nc6', 'Bc4', 'Bc5']).pos;
+  ['O-O', '0-0', 'e1g1'].forEach(text => assert.strictEqual(typed(castle, text), 'e1g1', text));
+  assert.strictEqual(typed(castle, 'O-O-O'), null);
+  // 'bxc3' is the pawn, 'Bxc3' the bishop
+  const bishop = Engine.parseFen('4k3/8/8/4B3/8/2n5/1P6/4K3 w - - 0 1');
+  assert.strictEqual(typed(bishop, 'bxc3'), 'b2c3');
+  assert.strictEqual(typed(bishop, 'Bxc3'), 'e5c3');
+  assert.strictEqual(typed(Engine.parseFen('4k3/8/8/8/8/2n5/8/2B1K3 w - - 0 1'), 'bxc3'), null); // no pawn there: not a bishop either
+});
+
+check('access: ambiguous and impossible typed moves are refused', () => {
+  const knights = Engine.parseFen('4k3/8/8/8/8/8/8/1N2KN2 w - - 0 1');
+  assert.strictEqual(Access.parseTypedMove(knights, 'Nd2'), null);
+  assert.strictEqual(Access.parseTypedMove(knights, 'nd2'), null);
+  assert.ok(Access.parseTypedMove(knights, 'nbd2'));
+  ['', '   ', 'e5', 'Ke2', 'e2e5', 'hello'].forEach(text => assert.strictEqual(Access.parseTypedMove(Engine.createPosition(), text), null, text));
+});
+
+// ------- VARIANTS -------
+check('variants: chess960Rank numbers all 960 setups, 518 being the standard one', () => {
+  assert.deepStrictEqual(Variants.chess960Rank(518), Engine.BACK_RANK);
+  const seen = new Set();
+  for (let n = 0; n < 960; n++) {
+    const rank = Variants.chess960Rank(n);
+    const at = type => rank.map((t, x) => (t === type ? x : -1)).filter(x => x >= 0);
+    const [b1, b2] = at('bishop'), [r1, r2] = at('rook'), [k] = at('king');
+    assert.deepStrictEqual(rank.slice().sort(), Engine.BACK_RANK.slice().sort(), `setup ${n}`);
+    assert.ok(b1 % 2 !== b2 % 2, `setup ${n}: bishops on one shade`);
+    assert.ok(r1 < k && k < r2, `setup ${n}: king not between the rooks`);
+    seen.add(rank.join());
+  }
+  assert.strictEqual(seen.size, 960);
+});
+
+check('variants: Chess960 FEN and castling', () => {
+  const shredder = 'bqnb1rkr/pp3ppp/3ppn2/2p5/5P2/P2P4/NPP1P1PP/BQ1BNRKR w HFhf - 2 9';
+  const xfen = Engine.toFen(Engine.parseFen(shredder));
+  assert.strictEqual(xfen, 'bqnb1rkr/pp3ppp/3ppn2/2p5/5P2/P2P4/NPP1P1PP/BQ1BNRKR w KQkq - 2 9'); // K / Q for the outermost rooks
+  assert.deepStrictEqual(Engine.parseFen(xfen).castling, Engine.parseFen(shredder).castling);
+  const inner = '2nnrbkr/p1qppppp/8/1ppb4/6PP/3PP3/PPP2P2/BQNNRBKR w KQkq - 1 9';
+  assert.strictEqual(Engine.toFen(Engine.parseFen(inner)), inner);
+  [shredder, inner].forEach(fen => checkUnmake(Engine.parseFen(fen), 2, fen));
+  // a king already on g castles by stepping onto its rook: king g1, rook f1
+  const pos = Engine.parseFen('1r4kr/8/8/8/8/8/8/1R4KR w HBhb - 0 1');
+  const castle = Engine.legalMoves(pos).find(m => m.castle === 'king');
+  assert.strictEqual(moveName(castle), 'g1h1');
+  Engine.makeMove(pos, castle);
+  assert.deepStrictEqual([pos.board[7][6].type, pos.board[7][5].type, pos.board[7][7]], ['king', 'rook', null]);
+});
+
+check('variants: Three-Check counts checks and ends on the third', () => {
+  const pos = Variants.setup('threeCheck');
+  playUci(['e2e4', 'f7f6', 'd1h5', 'g7g6'], pos);
+  assert.deepStrictEqual(pos.variantState, { white: 1, black: 0 });
+  const undo = Engine.makeMove(pos, Notation.parseUci(pos, 'h5g6'));
+  assert.deepStrictEqual(pos.variantState, { white: 2, black: 0 });
+  Engine.unmakeMove(pos, undo);
+  assert.deepStrictEqual(pos.variantState, { white: 1, black: 0 });
+
+  const third = Variants.attach(Engine.parseFen('4k3/8/8/8/8/8/8/R3K3 w - - 0 1'), 'threeCheck', { white: 2, black: 0 });
+  assert.strictEqual(Engine.gameStatus(third).state, 'playing');
+  playUci(['a1a8'], third);
+  assert.deepStrictEqual(Engine.gameStatus(third), { state: 'variant', inCheck: true, winner: 'white', message: 'White gave the third check' });
+  assert.notStrictEqual(Engine.positionKey(third), Engine.positionKey(Variants.attach(Engine.parseFen(Engine.toFen(third)), 'threeCheck')));
+});
+
+check('variants: King of the Hill ends when a king reaches the centre', () => {
+  const pos = Variants.attach(Engine.parseFen('4k3/p7/8/8/8/4K3/P7/8 w - - 0 1'), 'kingOfTheHill');
+  assert.strictEqual(Engine.gameStatus(pos).state, 'playing');
+  playUci(['e3e4'], pos);
+  assert.deepStrictEqual(Engine.gameStatus(pos), { state: 'variant', inCheck: false, winner: 'white', message: "White's king reached the hill" });
+  const black = Variants.attach(Engine.parseFen('8/p7/8/3k4/8/8/P7/4K3 w - - 0 1'), 'kingOfTheHill');
+  assert.strictEqual(Engine.gameStatus(black).winner, 'black');
+  // only the kings count: a rook on the hill wins nothing
+  assert.strictEqual(Engine.gameStatus(Variants.attach(Engine.parseFen('4k3/p7/8/3R4/8/8/P7/4K3 b - - 0 1'), 'kingOfTheHill')).state, 'playing');
+});
+
+check('variants: material draws follow the variant', () => {
+  const status = (fen, key) => Engine.gameStatus(Variants.attach(Engine.parseFen(fen), key)).state;
+  // a bare king can still walk to the hill, and a lone minor piece can still give checks
+  assert.strictEqual(status('4k3/8/8/8/8/8/8/4K3 w - - 0 1', 'standard'), 'insufficient');
+  assert.strictEqual(status('4k3/8/8/8/8/8/8/4K3 w - - 0 1', 'kingOfTheHill'), 'playing');
+  assert.strictEqual(status('4k3/8/8/8/8/8/8/4K3 w - - 0 1', 'threeCheck'), 'insufficient');
+  assert.strictEqual(status('4k3/8/8/8/8/8/8/1N2K3 w - - 0 1', 'threeCheck'), 'playing');
+  // and so does a flag fall: against a bare king only King of the Hill still has a winner
+  const bare = key => Engine.lacksWinningMaterial(Variants.attach(Engine.parseFen('4k3/8/8/8/8/8/8/1N2K3 w - - 0 1'), key), 'black');
+  assert.deepStrictEqual(['standard', 'threeCheck', 'kingOfTheHill'].map(bare), [true, true, false]);
+  assert.strictEqual(Engine.lacksWinningMaterial(Variants.attach(Engine.parseFen('4k3/8/8/8/8/8/8/1N2K3 w - - 0 1'), 'threeCheck'), 'white'), false);
+});
+
+check('saves: records before variants load as standard chess', () => {
+  const old = Saves.migrate({ version: 1, startFen: Engine.START_FEN, moves: ['e2e4'] });
+  assert.strictEqual(old.variant, 'standard');
+  assert.strictEqual(Saves.replay(old).position.variant, null);
+  const three = Saves.replay(Saves.migrate({ version: 1, startFen: Engine.START_FEN, variant: 'threeCheck', moves: ['e2e4', 'f7f6', 'd1h5'] }));
+  assert.deepStrictEqual(three.position.variantState, { white: 1, black: 0 });
+});
+
+// ------- PUZZLES -------
+check('puzzles: the bundled set plays out', () => {
+  const puzzles = Puzzles.parsePuzzleSet(require('./puzzles.json'));
+  assert.ok(puzzles.length >= 10);
+  assert.strictEqual(new Set(puzzles.map(p => p.id)).size, puzzles.length);
+  puzzles.forEach(p => {
+    assert.strictEqual(p.moves.length % 2, 1, `${p.id} should end on the solver's move`);
+    if (/mate/i.test(p.theme)) assert.strictEqual(Engine.gameStatus(playUci(p.moves, Engine.parseFen(p.fen))).state, 'checkmate', `${p.id}: ${p.theme}`);
+  });
+  assert.throws(() => Puzzles.parsePuzzleSet([{ id: 'x', fen: Engine.START_FEN, moves: ['e2e5'] }]), /Puzzle x has an illegal move e2e5/);
+});
+
+check('puzzles: checkMove', () => {
+  const [fork] = Puzzles.parsePuzzleSet([{ id: 'fork', fen: 'q3k3/7p/8/1N6/8/8/7P/4K3 w - - 0 1', moves: ['b5c7', 'e8d7', 'c7a8'] }]);
+  const pos = Engine.parseFen(fork.fen);
+  const at = (ply, text) => Puzzles.checkMove(fork, ply, pos, Notation.parseUci(pos, text));
+  assert.strictEqual(at(0, 'b5d6'), 'wrong');
+  assert.strictEqual(at(0, 'b5c7'), 'correct');
+  playUci(['b5c7', 'e8d7'], pos);
+  assert.strictEqual(at(2, 'c7a8'), 'solved');
+
+  // promotions are part of the UCI: the wrong piece is the wrong move
+  const [promo] = Puzzles.parsePuzzleSet([{ id: 'promo', fen: '6k1/5ppp/8/8/8/8/p4PPP/6K1 b - - 0 1', moves: ['a2a1q'] }]);
+  const p = Engine.parseFen(promo.fen);
+  assert.strictEqual(Puzzles.checkMove(promo, 0, p, Notation.parseUci(p, 'a2a1q')), 'solved');
+  assert.strictEqual(Puzzles.checkMove(promo, 0, p, Notation.parseUci(p, 'a2a1n')), 'wrong');
+  // any mate solves it, even another one (a rook mates too)
+  assert.strictEqual(Puzzles.checkMove(promo, 0, p, Notation.parseUci(p, 'a2a1r')), 'solved');
+});
+
+check('puzzles: recordResult moves the rating once per puzzle and keeps the streak', () => {
+  const puzzle = { id: 'a', rating: 800 };
+  let progress = Puzzles.createProgress();
+  progress = Puzzles.recordResult(progress, puzzle, 'solved');
+  assert.deepStrictEqual([progress.rating, progress.streak, progress.bestStreak, progress.solved], [816, 1, 1, ['a']]);
+  progress = Puzzles.recordResult(progress, puzzle, 'solved'); // again: streak only
+  assert.deepStrictEqual([progress.rating, progress.streak], [816, 2]);
+  progress = Puzzles.recordResult(progress, { id: 'b', rating: 1200 }, 'hinted'); // a hint: no rating
+  assert.deepStrictEqual([progress.rating, progress.streak, progress.solved], [816, 3, ['a', 'b']]);
+  const failed = Puzzles.recordResult(progress, { id: 'c', rating: 816 }, 'failed');
+  assert.deepStrictEqual([failed.rating, failed.streak, failed.bestStreak, failed.failed], [800, 0, 3, ['c']]);
+  assert.strictEqual(progress.failed.length, 0, 'the old progress is left alone');
+  // a harder puzzle is worth more than an easy one
+  const hard = Puzzles.recordResult(Puzzles.createProgress(), { id: 'h', rating: 1400 }, 'solved').rating;
+  const easy = Puzzles.recordResult(Puzzles.createProgress(), { id: 'e', rating: 400 }, 'solved').rating;
+  assert.ok(hard > 816 && easy < 816 && easy > 800);
+  // progress that can't be read starts over
+  const storage = memoryStorage();
+  storage.setItem('3dchess.puzzles', '{ not json');
+  assert.deepStrictEqual(Puzzles.loadProgress(storage), Puzzles.createProgress());
+  Puzzles.saveProgress(storage, failed);
+  assert.deepStrictEqual(Puzzles.loadProgress(storage), failed);
+});
+
+check('puzzles: nextPuzzle', () => {
+  const set = [{ id: 'a', rating: 600 }, { id: 'b', rating: 800 }, { id: 'c', rating: 1000 }];
+  const progress = { ...Puzzles.createProgress(), rating: 950 };
+  assert.strictEqual(Puzzles.nextPuzzle(set, progress).id, 'c');
+  assert.strictEqual(Puzzles.nextPuzzle(set, { ...progress, solved: ['c'] }).id, 'b');
+  assert.strictEqual(Puzzles.nextPuzzle(set, progress, ['c', 'b']).id, 'a');
+  // all tried: the one after the last shown, round the set
+  assert.strictEqual(Puzzles.nextPuzzle(set, { ...progress, solved: ['a', 'b', 'c'] }, ['b']).id, 'c');
+  assert.strictEqual(Puzzles.nextPuzzle(set, { ...progress, solved: ['a', 'b', 'c'] }, ['c']).id, 'a');
+  assert.strictEqual(Puzzles.nextPuzzle([], progress), null);
+});
+
+// ------- OPENING BOOK -------
+check('book: every line plays out', () => {
+  const book = Book.buildBook();
+  assert.ok(book.size > Book.OPENINGS.length);
+  assert.throws(() => Book.buildBook([['X00', 'Nonsense', 'e4 e4']]), /X00 Nonsense: illegal move e4/);
+});
+
+check('book: openingAt names the latest named position, through transpositions', () => {
+  const name = sans => Book.openingAt(play(sans).keys);
+  assert.deepStrictEqual(name(['e4', 'c5', 'Nf3', 'd6', 'd4', 'cxd4', 'Nxd4', 'Nf6', 'Nc3', 'a6']), { eco: 'B90', name: 'Sicilian Defense: Najdorf Variation' });
+  assert.deepStrictEqual(name(['e4', 'c5', 'Nf3', 'd6', 'd4', 'cxd4', 'Nxd4', 'Nf6', 'Nc3', 'a6', 'Be3']).eco, 'B90'); // out of book keeps the name
+  assert.deepStrictEqual(name(['Nf3', 'd5', 'd4']), name(['d4', 'd5', 'Nf3']));
+  assert.strictEqual(name(['d4', 'd5', 'Nf3']).eco, 'D02');
+  assert.strictEqual(name([]), null);
+  assert.strictEqual(name(['a3']), null);
+});
+
+check('book: pickBookMove follows the weights and skips weight-0 lines', () => {
+  const start = Engine.createPosition();
+  const moves = Book.bookMoves(start);
+  assert.ok(moves.every((m, i) => !i || moves[i - 1].weight >= m.weight), 'most played first');
+  assert.ok(!moves.some(m => ['b2b4', 'g2g4', 'b2b3', 'f2f4'].includes(m.uci)), 'weight-0 first moves are never played');
+  assert.strictEqual(Notation.toUci(Book.pickBookMove(start, () => 0)), moves[0].uci);
+  assert.strictEqual(Notation.toUci(Book.pickBookMove(start, () => 0.9999)), moves[moves.length - 1].uci);
+  assert.ok(!Book.bookMoves(play(['e4', 'e5']).pos).some(m => m.uci === 'f2f4'), "no King's Gambit");
+
+  // picks land in proportion to the weights
+  const book = Book.buildBook([['A', 'a', 'e4', 3], ['B', 'b', 'd4', 1]]);
+  const counts = { e2e4: 0, d2d4: 0 };
+  for (let i = 0; i < 100; i++) counts[Notation.toUci(Book.pickBookMove(start, () => i / 100, book))]++;
+  assert.deepStrictEqual(counts, { e2e4: 75, d2d4: 25 });
+  assert.strictEqual(Book.pickBookMove(play(['a3']).pos), null);
+});
+
+// ------- RUN -------
+(async () => {
+  let failed = 0;
+  for (const { name, fn } of checks) {
+    try { await fn(); console.log(`ok   ${name}`); } catch (err) { failed++; console.log(`FAIL ${name}\n     ${err.message.split('\n').join('\n     ')}`); }
+  }
+  console.log(failed ? `${failed} of ${checks.length} FAILED` : `all ${checks.length} passed`);
+  // exit outright: a socket left open by a failed check shouldn't keep the run hanging
+  process.exit(failed ? 1 : 0);
+})();
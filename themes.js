@@ -0,0 +1,37 @@
+// themes.js
+// 3D Chess Master — board and piece color themes; chess.js recolors its shared materials in place to switch
+// loads as a plain <script> (window.ChessThemes) or via require() in Node; colors are 0xRRGGBB
+// piece entries are MeshPhongMaterial settings: { color, shininess, specular, emissive }
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.ChessThemes = factory();
+})(typeof self !== 'undefined' ? self : this, () => {
+  // ------- THEMES -------
+  const THEMES = {
+    wood: {
+      label: 'Wood', lightSquare: 0xf0d9b5, darkSquare: 0xb58863, floor: 0x04060a, background: 0x071226,
+      whitePiece: { color: 0xf5f5f5, shininess: 120, specular: 0x111111, emissive: 0x000000 },
+      blackPiece: { color: 0x111111, shininess: 30, specular: 0x111111, emissive: 0x000000 }
+    },
+    marble: {
+      label: 'Marble', lightSquare: 0xe9e7e1, darkSquare: 0x7b8794, floor: 0x14181d, background: 0x0c1015,
+      whitePiece: { color: 0xfbf8f1, shininess: 220, specular: 0x666666, emissive: 0x000000 },
+      blackPiece: { color: 0x2b2f36, shininess: 180, specular: 0x555555, emissive: 0x000000 }
+    },
+    neon: {
+      label: 'Neon', lightSquare: 0x12304a, darkSquare: 0x060d18, floor: 0x000000, background: 0x02040a,
+      whitePiece: { color: 0x66fff0, shininess: 90, specular: 0x66fff0, emissive: 0x0b4a44 },
+      blackPiece: { color: 0xff4fd8, shininess: 90, specular: 0xff4fd8, emissive: 0x4a0b3e }
+    },
+    contrast: {
+      label: 'High contrast', lightSquare: 0xffffff, darkSquare: 0x3d6fb6, floor: 0x000000, background: 0x000000,
+      whitePiece: { color: 0xffffff, shininess: 60, specular: 0x222222, emissive: 0x444444 },
+      blackPiece: { color: 0x000000, shininess: 60, specular: 0x888888, emissive: 0x000000 }
+    }
+  };
+  const DEFAULT_THEME = 'wood';
+
+  // ------- export -------
+  return { THEMES, DEFAULT_THEME };
+});
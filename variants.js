@@ -0,0 +1,112 @@
+// variants.js
+// 3D Chess Master — rule variants on top of engine.js's hooks: Chess960, King of the Hill and Three-Check
+// loads as a plain <script> after engine.js (window.ChessVariants) or via require() in Node
+//
+// a variant is { key, label, setup(random) -> start position } plus any of
+//   outcome(pos) / afterMove(pos, undo)   engine.js hooks (see the top of engine.js)
+//   initialState                          its pos.variantState at the start of a game
+//   evaluate(pos)                         white's-view centipawns the AI adds to its evaluation
+//   pgn / uci                             the PGN Variant tag and the UCI options an engine needs to play it
+//   hill                                  [x, z] squares a board should mark as goals
+// new variants only need an entry in VARIANTS; the move generator stays the same
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./engine.js'));
+  else root.ChessVariants = factory(root.ChessEngine);
+})(typeof self !== 'undefined' ? self : this, (Engine) => {
+  // ------- CONFIG -------
+  const DEFAULT_VARIANT = 'standard';
+  const HILL = [[3, 3], [4, 3], [3, 4], [4, 4]]; // d5, e5, d4, e4
+  const HILL_BONUS = [0, 80, 30, 10]; // by the king's distance to the hill; on it the game is over
+  const CHECKS_TO_WIN = 3;
+  const CHECK_BONUS = [0, 120, 400]; // by checks given
+  const capitalize = s => s.charAt(0).toUpperCase() + s.slice(1);
+
+  // ------- CHESS960 -------
+  // back rank number n (0..959, Scharnagl numbering; 518 is the standard setup) for white, mirrored for black
+  const KNIGHT_PAIRS = [[0, 1], [0, 2], [0, 3], [0, 4], [1, 2], [1, 3], [1, 4], [2, 3], [2, 4], [3, 4]];
+  function chess960Rank(n) {
+    const rank = Array(Engine.SIZE).fill(null);
+    const free = () => rank.map((p, x) => (p ? null : x)).filter(x => x !== null);
+    rank[[1, 3, 5, 7][n % 4]] = 'bishop'; n = Math.floor(n / 4);
+    rank[[0, 2, 4, 6][n % 4]] = 'bishop'; n = Math.floor(n / 4);
+    rank[free()[n % 6]] = 'queen'; n = Math.floor(n / 6);
+    const [a, b] = KNIGHT_PAIRS[n], empty = free();
+    rank[empty[a]] = rank[empty[b]] = 'knight';
+    // what's left is rook, king, rook from the a-file side
+    free().forEach((x, i) => { rank[x] = ['rook', 'king', 'rook'][i]; });
+    return rank;
+  }
+
+  function chess960Position(n) {
+    const rank = chess960Rank(n), board = Engine.startingBoard();
+    rank.forEach((type, x) => { board[0][x] = { type, color: 'black' }; board[7][x] = { type, color: 'white' }; });
+    const rooks = rank.map((t, x) => (t === 'rook' ? x : null)).filter(x => x !== null);
+    const castling = { white: { king: rooks[1], queen: rooks[0] }, black: { king: rooks[1], queen: rooks[0] } };
+    return Engine.createPosition({ board, castling });
+  }
+
+  // ------- KING OF THE HILL -------
+  const hillDistance = ({ x, z }) => Math.min(...HILL.map(([hx, hz]) => Math.max(Math.abs(x - hx), Math.abs(z - hz))));
+
+  // ------- VARIANTS -------
+  const VARIANTS = {
+    standard: { key: 'standard', label: 'Standard', setup: () => Engine.createPosition() },
+    chess960: {
+      key: 'chess960', label: 'Chess960', pgn: 'Chess960', uci: { UCI_Chess960: 'true' },
+      setup: (random = Math.random) => chess960Position(Math.floor(random() * 960))
+    },
+    kingOfTheHill: {
+      key: 'kingOfTheHill', label: 'King of the Hill', pgn: 'King of the Hill', uci: { UCI_Variant: 'kingofthehill' }, hill: HILL,
+      setup: () => Engine.createPosition(),
+      outcome(pos) {
+        const winner = ['white', 'black'].find(c => { const k = Engine.findKing(pos.board, c); return k && hillDistance(k) === 0; });
+        return winner ? { winner, message: `${capitalize(winner)}'s king reached the hill` } : null;
+      },
+      lacksMaterial: () => false, // any king can still walk to the centre
+      evaluate(pos) {
+        return ['white', 'black'].reduce((score, c) => {
+          const k = Engine.findKing(pos.board, c);
+          return k ? score + (c === 'white' ? 1 : -1) * (HILL_BONUS[hillDistance(k)] || 0) : score;
+        }, 0);
+      }
+    },
+    threeCheck: {
+      key: 'threeCheck', label: 'Three-Check', pgn: 'Three-check', uci: { UCI_Variant: '3check' },
+      initialState: { white: 0, black: 0 }, // checks given by each side
+      setup: () => Engine.createPosition(),
+      afterMove(pos, undo) { if (Engine.isKingInCheck(pos.board, pos.turn)) pos.variantState[undo.turn]++; },
+      outcome(pos) {
+        const winner = ['white', 'black'].find(c => pos.variantState[c] >= CHECKS_TO_WIN);
+        return winner ? { winner, message: `${capitalize(winner)} gave the third check` } : null;
+      },
+      // anything but a king can still give checks
+      lacksMaterial: (pos, color) => pos.board.every(row => row.every(p => !p || p.color !== color || p.type === 'king')),
+      evaluate(pos) { return (CHECK_BONUS[pos.variantState.white] || 0) - (CHECK_BONUS[pos.variantState.black] || 0); }
+    }
+  };
+
+  // ------- POSITIONS -------
+  function get(key) { return VARIANTS[key] || VARIANTS[DEFAULT_VARIANT]; }
+
+  // hangs a variant's rules on a position (from parseFen, or a copy); state defaults to the variant's starting counters
+  function attach(pos, key, state = null) {
+    const v = get(key);
+    pos.variant = v.outcome || v.afterMove || v.lacksMaterial ? v : null;
+    pos.variantState = v.initialState ? { ...(state || v.initialState) } : null;
+    return pos;
+  }
+
+  // a new game's start position
+  function setup(key, random = Math.random) { return attach(get(key).setup(random), key); }
+
+  // the variant named by a PGN Variant tag, or null when it isn't one of ours
+  function fromPgnTag(tag) {
+    if (!tag || /^(standard|chess)$/i.test(tag)) return DEFAULT_VARIANT;
+    const v = Object.values(VARIANTS).find(v => v.pgn && v.pgn.toLowerCase().replace(/\W/g, '') === String(tag).toLowerCase().replace(/\W/g, ''));
+    return v ? v.key : null;
+  }
+
+  // ------- export -------
+  return { DEFAULT_VARIANT, VARIANTS, get, attach, setup, fromPgnTag, chess960Rank, chess960Position };
+});